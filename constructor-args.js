@@ -1,16 +1,5 @@
-const chancellor = '0x32BF741D6DF2C00A0687b834FeC84D2A2B80388c'
-const archit3c = '0x25d53e88ae482e6612bEd27d040B370c7e09838c'
-const founders = [archit3c, chancellor]
-const artist = '0x627137FC6cFa3fbfa0ed936fB4B5d66fB383DBE8'
-const staff = {
-  ThePokeMongi: '0x367c9122748a56e3174df6a2c6bcc9d634fd2bea',
-  '0xYxussef7!': '0xFBA6cCdf60c712Bf96c094D989DDf412d1559A62',
-  'F-14 Tomcat': '0xc383039f20d6f438c60782cb7a04ec18dab5b66e',
-  nero: '0x84B8Da634d034Ff8067503CEA37828c77A9CBEab',
-  Ocean: '0x914efE0Cb888791163ABa4a5c9CE03DA349E34d7',
-  domruby: '0x0ec88a8b2973B21E38F8c46A6CafAdE2514DF73c',
-  PRD: '0x614672b1df0DA50D65472222C610980f86BE3965',
-}
-const baseURI = 'ipfs://QmVh3U21k4ua2bL57okRfLR1KHpevDBdXmhwQRK6AyxBgq/'
+const { network } = require('hardhat')
+const { loadDeployConfig, constructorArgs } = require('./utilities/deployConfig')
 
-module.exports = [founders, artist, Object.values(staff), baseURI]
+// Used by `hardhat verify --constructor-args constructor-args.js --network <network>`
+module.exports = constructorArgs(loadDeployConfig(network.name))
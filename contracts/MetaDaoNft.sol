@@ -2,24 +2,38 @@
 
 pragma solidity ^0.8.0;
 
-import './utils/MerkleProof.sol';
+import './interfaces/IMetaDaoNftRenderer.sol';
+import './MetaDaoNftPayouts.sol';
+import './MetaDaoNftVouchers.sol';
 import '@openzeppelin/contracts/access/AccessControlEnumerable.sol';
 import '@openzeppelin/contracts/access/Ownable.sol';
+import '@openzeppelin/contracts/security/Pausable.sol';
+import '@openzeppelin/contracts/security/ReentrancyGuard.sol';
+import '@openzeppelin/contracts/token/common/ERC2981.sol';
+import '@openzeppelin/contracts/utils/Address.sol';
+import '@openzeppelin/contracts/utils/cryptography/MerkleProof.sol';
 import '@openzeppelin/contracts/utils/Strings.sol';
 import 'erc721a/contracts/ERC721A.sol';
 
 /**
  *  @title Meta DAO NFT
  *
- *  @notice This implements the contract for the Meta DAO NFT.
- *  Contract can be paused by disabling public mints and creating a bogus merkle
- *  root tree for the whitelist. Funds from sales can be withdrawn any time by
- *  anyone and will withdrawn to founders + artist. All founders on the contract
- *  share a 90% split and can be removed. The artist gets a 10% split and
- *  can never be removed.
+ *  @notice This implements the contract for the Meta DAO NFT. In an
+ *  emergency, PAUSER_ROLE can pause every way of minting, and token transfers
+ *  too if need be, independently of the sale phases. Funds from sales are
+ *  sent to a MetaDaoNftPayouts contract deployed with this one, which splits
+ *  them between payees by their shares. Founders share a 90% split and the
+ *  artist gets the remaining 10% until the treasury changes the payees.
+ *  Marketplaces that support EIP-2981 pay royalties to the artist unless the
+ *  treasury changes them. Instead of a merkle root, allowlisted minters can
+ *  also be issued EIP-712 vouchers signed by a key holding
+ *  VOUCHER_SIGNER_ROLE. Operations are split between roles, so that managing
+ *  the sale, the whitelist, the metadata or the treasury doesn't give away
+ *  anything else. Free tokens are airdropped from a capped marketing reserve
+ *  by their own role.
  */
 
-contract MetaDaoNft is ERC721A, Ownable, AccessControlEnumerable {
+contract MetaDaoNft is ERC721A, Ownable, AccessControlEnumerable, Pausable, ReentrancyGuard, ERC2981 {
     /// @dev The price of a single mint in Ether
     uint256 public constant PRICE = 0.04 ether;
 
@@ -32,12 +46,87 @@ contract MetaDaoNft is ERC721A, Ownable, AccessControlEnumerable {
     /// @dev A role for the artist.
     bytes32 public constant ARTIST_ROLE = keccak256('ARTIST_ROLE');
 
-    /// @dev Holds the value of the baseURI for token generation
+    /// @dev A role for the keys that sign mint vouchers.
+    bytes32 public constant VOUCHER_SIGNER_ROLE = keccak256('VOUCHER_SIGNER_ROLE');
+
+    /// @dev A role for opening and closing the sale, and changing its schedule and limits.
+    bytes32 public constant SALE_MANAGER_ROLE = keccak256('SALE_MANAGER_ROLE');
+
+    /// @dev A role for setting the whitelist merkle root.
+    bytes32 public constant WHITELIST_MANAGER_ROLE = keccak256('WHITELIST_MANAGER_ROLE');
+
+    /// @dev A role for the provenance hash, the reveal and everything else about the metadata.
+    bytes32 public constant METADATA_MANAGER_ROLE = keccak256('METADATA_MANAGER_ROLE');
+
+    /// @dev A role for changing the payees and royalties.
+    bytes32 public constant TREASURY_ROLE = keccak256('TREASURY_ROLE');
+
+    /// @dev A role for pausing and unpausing minting and transfers in an emergency.
+    bytes32 public constant PAUSER_ROLE = keccak256('PAUSER_ROLE');
+
+    /// @dev A role for airdropping free tokens from the marketing reserve.
+    bytes32 public constant FREE_MINTER_ROLE = keccak256('FREE_MINTER_ROLE');
+
+    /// @dev Identifies the whitelist phase of the sale.
+    bytes32 public constant WHITELIST_PHASE = keccak256('WHITELIST_PHASE');
+
+    /// @dev Identifies the public phase of the sale.
+    bytes32 public constant PUBLIC_PHASE = keccak256('PUBLIC_PHASE');
+
+    /// @dev The phase of Minted events for tokens claimed from staff allocations.
+    bytes32 public constant STAFF_PHASE = keccak256('STAFF_PHASE');
+
+    /// @dev The phase of Minted events for tokens airdropped from the marketing reserve.
+    bytes32 public constant AIRDROP_PHASE = keccak256('AIRDROP_PHASE');
+
+    /// @dev The royalty rate the artist is set up with on deploy, in basis points of the sale price.
+    uint96 public constant DEFAULT_ROYALTY_BPS = 500;
+
+    /// @dev Holds the value of the baseURI for token generation, set on reveal
     string private _baseTokenURI;
 
+    /// @dev The metadata URI every token has until the reveal
+    string private _placeholderURI;
+
+    /**
+     * @dev A hash of the artwork in its final order, committed before minting
+     * so anyone can check the order wasn't changed once buyers were known.
+     */
+    bytes32 public provenanceHash;
+
+    /**
+     * @dev A random offset picked on reveal. Token n shows the artwork at
+     * position (n + startingIndex) % MAX_MINTS of the provenance order.
+     */
+    uint256 public startingIndex;
+
+    /// @dev Indicates if the artwork has been revealed.
+    bool public isRevealed = false;
+
+    /// @dev Indicates if the metadata has been frozen for good.
+    bool public isMetadataFrozen = false;
+
+    /**
+     * @dev Generates token metadata on-chain when set. While this is the zero
+     * address, tokenURI uses the placeholder and base URIs.
+     */
+    IMetaDaoNftRenderer public renderer;
+
+    /**
+     * @dev The number of tokens left to airdrop for marketing and giveaways.
+     * Like reservedMints, this much of MAX_MINTS is held back from mint.
+     */
+    uint256 public marketingReserve;
+
     /// @dev A mapping of addresses to claimable mints
     mapping(address => uint256) public staffAllocations;
 
+    /**
+     * @dev The total of all unclaimed staffAllocations. This much of MAX_MINTS
+     * is held back from mint so the allocations can always be claimed.
+     */
+    uint256 public reservedMints;
+
     /**
      * @dev Indicates if public minting is opened. If true, addresses not on the
      * whitelist can mint tokens. If false, the address must be on the whitelist
@@ -45,28 +134,114 @@ contract MetaDaoNft is ERC721A, Ownable, AccessControlEnumerable {
      */
     bool public isPublicMintingAllowed = false;
 
+    /// @dev Indicates if token transfers are blocked while the contract is paused.
+    bool public areTransfersPaused = false;
+
     /**
      *  @dev A merkle tree root for the whitelist. The merkle tree is generated
      * off-chain to save gas, and the root is stored on contract for verification.
      */
     bytes32 private _whitelistMerkleRoot;
 
-    /// @dev An event emitted when the mint was successful.
-    event SuccessfulMint(uint256 numMints, address recipient);
+    /// @dev The maximum number of tokens a wallet can mint during each phase, across all transactions.
+    mapping(bytes32 => uint256) public maxMintsPerWallet;
+
+    /**
+     * @dev The number of tokens each wallet has minted during each phase. This
+     * is counted against the wallet sending the mint, not the recipient, so
+     * minting to other addresses doesn't get around the limit.
+     */
+    mapping(bytes32 => mapping(address => uint256)) public phaseMints;
+
+    /**
+     * @dev A scheduled phase of the sale, such as an allowlist, waitlist or
+     * public sale. While a phase is running, its price, limits and merkle root
+     * apply to every mint.
+     */
+    struct SalePhase {
+        bytes32 id; // Mints are counted per id, so phases sharing an id share the per-wallet limit
+        uint256 price; // The price of a single mint in wei
+        uint64 startTime; // Unix timestamp the phase starts at
+        uint64 endTime; // Unix timestamp the phase ends at, exclusive
+        uint256 maxPerTx;
+        uint256 maxPerWallet;
+        bytes32 merkleRoot; // The whitelist for the phase, or zero if anyone can mint
+    }
+
+    /// @dev The scheduled phases of the sale, ordered by start time.
+    SalePhase[] private _salePhases;
+
+    /// @dev The contract sale proceeds are sent to, which splits them between the payees.
+    MetaDaoNftPayouts public immutable payouts;
+
+    /// @dev The contract that checks mint vouchers and counts their redemptions.
+    MetaDaoNftVouchers public immutable vouchers;
+
+    /**
+     * @dev An event emitted for every batch of tokens minted, however they
+     * were minted. The batch is the tokens startTokenId to
+     * startTokenId + quantity - 1. The minter is the sender of the
+     * transaction, pricePaid is what the batch cost them in wei, not counting
+     * refunds, and phase is the sale phase, STAFF_PHASE or AIRDROP_PHASE.
+     */
+    event Minted(
+        address indexed recipient,
+        address indexed minter,
+        uint256 startTokenId,
+        uint256 quantity,
+        uint256 pricePaid,
+        bytes32 phase
+    );
 
     /// @dev An event emitted when funds have been received.
     event ReceivedFunds(uint256 msgValue);
 
-    /// @dev Gates functions that should only be called by the contract admins.
-    modifier onlyAdmin() {
-        require(hasRole(DEFAULT_ADMIN_ROLE, _msgSender()), 'Must be an admin.');
-        _; // Executes the rest of the modified function
-    }
+    /// @dev An event emitted when the per-wallet mint limit of a phase changes.
+    event MaxMintsPerWalletChanged(bytes32 indexed phase, uint256 maxMints);
+
+    /// @dev An event emitted when the sale schedule is replaced.
+    event SalePhasesChanged(uint256 numPhases);
+
+    /// @dev An event emitted when a mint was overpaid and the excess was sent back.
+    event Refunded(address indexed buyer, uint256 amount);
+
+    /// @dev An event emitted when the claimable mints of an address change, including when they are claimed.
+    event AllocationChanged(address indexed account, uint256 previousAmount, uint256 newAmount);
+
+    /// @dev An event emitted when the default royalty changes. A zero receiver means no default royalty.
+    event DefaultRoyaltyChanged(address receiver, uint96 feeNumerator);
+
+    /// @dev An event emitted when a token's royalty override changes. A zero receiver means the default applies.
+    event TokenRoyaltyChanged(uint256 indexed tokenId, address receiver, uint96 feeNumerator);
+
+    /// @dev An event emitted when the marketing reserve is set. Airdrops don't emit it.
+    event MarketingReserveChanged(uint256 previousAmount, uint256 newAmount);
 
-    /// @dev Gates functions that should only be called by people who have claimable free mints
-    modifier onlyWithAllocation() {
+    /// @dev An event emitted when the provenance hash is committed.
+    event ProvenanceHashSet(bytes32 provenanceHash);
+
+    /// @dev An event emitted when the artwork is revealed.
+    event Revealed(string baseURI, uint256 startingIndex);
+
+    /// @dev An event emitted when the metadata is frozen for good.
+    event MetadataFrozen();
+
+    /// @dev An event emitted when on-chain metadata is switched on or off. A zero renderer means it is off.
+    event RendererChanged(address renderer);
+
+    /// @dev EIP-4906: tells marketplaces to refresh the metadata of a range of tokens.
+    event BatchMetadataUpdate(uint256 _fromTokenId, uint256 _toTokenId);
+
+    /**
+     * @dev Gates functions that should only be called by people who have
+     * enough claimable free mints.
+     *
+     * @param amount The number of mints attempting to be claimed.
+     */
+    modifier onlyWithAllocation(uint256 amount) {
         uint256 claimableMints = staffAllocations[_msgSender()];
         require(claimableMints > 0, 'Must have claimable mints');
+        require(amount <= claimableMints, 'Exceeds claimable mints.');
         _; // Executes the rest of the modified function
     }
 
@@ -82,40 +257,69 @@ contract MetaDaoNft is ERC721A, Ownable, AccessControlEnumerable {
     }
 
     /**
-     * @notice Deploys the contract, sets the baseTokenURI, sets the the max
-     * mints, roles for founders and disables public minting.
+     *  @dev Gates functions that should only be called if there are mints left
+     * that aren't reserved for staff allocations.
+     *
+     * @param numMints The number of mints attempting to be minted.
+     */
+    modifier onlyWithAvailableMintsLeft(uint256 numMints) {
+        uint256 available = availableMints();
+        require(available != 0, 'Soldout!');
+        require(numMints <= available, 'Not enough mints left.');
+        _; // Executes the rest of the modified function
+    }
+
+    /**
+     * @notice Deploys the contract, sets the placeholder URI, sets the the max
+     * mints, roles for founders and disables public minting. The deployer is
+     * granted the default admin role, every manager role and the pauser
+     * role, and can hand them out to others. Nothing can be airdropped until the default admin
+     * grants FREE_MINTER_ROLE and sets the marketing reserve.
      *
      * @param founders The addresses of founders to be granted founder role.
      * @param artist The address of the artist to be granted artist role.
      * @param staff The address of the staff members who will be granted 5 free mints
-     * @param newBaseURI The base URI for the artwork generated for this contract
+     * @param newPlaceholderURI The metadata URI every token has until the reveal
      */
     constructor(
         address[] memory founders,
         address artist,
         address[] memory staff,
-        string memory newBaseURI
+        string memory newPlaceholderURI
     ) ERC721A('Meta DAO NFT', 'METADAONFT') {
         _setupRole(DEFAULT_ADMIN_ROLE, _msgSender());
-        _baseTokenURI = newBaseURI;
+        _setupRole(SALE_MANAGER_ROLE, _msgSender());
+        _setupRole(WHITELIST_MANAGER_ROLE, _msgSender());
+        _setupRole(METADATA_MANAGER_ROLE, _msgSender());
+        _setupRole(TREASURY_ROLE, _msgSender());
+        _setupRole(PAUSER_ROLE, _msgSender());
+        _placeholderURI = newPlaceholderURI;
+
+        maxMintsPerWallet[WHITELIST_PHASE] = 2;
+        maxMintsPerWallet[PUBLIC_PHASE] = 10;
 
         for (uint256 i = 0; i < staff.length; i++) {
             address staffAddress = staff[i];
-            staffAllocations[staffAddress] = 5; // 5 claimable mints per staff member
+            _setStaffAllocation(staffAddress, 5); // 5 claimable mints per staff member
         }
 
         for (uint256 i = 0; i < founders.length; i++) {
             address founderAddress = founders[i];
-            staffAllocations[founderAddress] = 20; // 20 claimable mints per founder
+            _setStaffAllocation(founderAddress, 20); // 20 claimable mints per founder
         }
 
-        staffAllocations[artist] = 20; // 20 claimable mints for artist
+        _setStaffAllocation(artist, 20); // 20 claimable mints for artist
 
         _setupRole(ARTIST_ROLE, artist);
 
         for (uint256 i = 0; i < founders.length; i++) {
             _setupRole(FOUNDER_ROLE, founders[i]);
         }
+
+        payouts = new MetaDaoNftPayouts(founders, artist);
+        vouchers = new MetaDaoNftVouchers();
+
+        setDefaultRoyalty(artist, DEFAULT_ROYALTY_BPS);
     }
 
     function _baseURI() internal view override returns (string memory) {
@@ -123,122 +327,593 @@ contract MetaDaoNft is ERC721A, Ownable, AccessControlEnumerable {
     }
 
     /**
-     * @notice Admin-only function to set the whitelist with a merkle root that
-     * is generated off-chain.
+     * @notice Returns the metadata URI of a token. Before the reveal, this is
+     * the placeholder URI. After it, the token's position in the provenance
+     * order picks its artwork: with a renderer set, the renderer generates a
+     * data URI for that position, otherwise it is the base URI followed by
+     * the position.
+     *
+     * @param tokenId The token to get the URI of.
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        if (!_exists(tokenId)) revert URIQueryForNonexistentToken();
+        if (!isRevealed) {
+            return _placeholderURI;
+        }
+
+        uint256 position = (tokenId + startingIndex) % MAX_MINTS;
+        if (address(renderer) != address(0)) {
+            return renderer.tokenURI(tokenId, position);
+        }
+        return string(abi.encodePacked(_baseTokenURI, Strings.toString(position)));
+    }
+
+    /**
+     * @notice Metadata manager function to commit the provenance hash. It can't be
+     * changed once anything has been minted, and nothing can be minted until
+     * it is set.
+     *
+     * @param newProvenanceHash A hash of the artwork in its final order.
+     */
+    function setProvenanceHash(bytes32 newProvenanceHash) public onlyRole(METADATA_MANAGER_ROLE) {
+        require(totalSupply() == 0, 'Provenance is locked once minting starts.');
+        provenanceHash = newProvenanceHash;
+        emit ProvenanceHashSet(newProvenanceHash);
+    }
+
+    /**
+     * @notice Metadata manager function to change the placeholder URI before
+     * the reveal.
+     *
+     * @param newPlaceholderURI The metadata URI every token has until the reveal.
+     */
+    function setPlaceholderURI(string calldata newPlaceholderURI) public onlyRole(METADATA_MANAGER_ROLE) {
+        require(!isRevealed, 'Already revealed.');
+        _placeholderURI = newPlaceholderURI;
+        emit BatchMetadataUpdate(0, MAX_MINTS - 1);
+    }
+
+    /**
+     * @notice Metadata manager function to reveal the artwork. Picks the starting
+     * index that offsets every token's position in the provenance order, so
+     * nobody could know which artwork a token would get when minting it.
+     *
+     * @dev The starting index comes from the previous block hash and the
+     * timestamp. Both are known when the transaction is sent, so the metadata
+     * manager can simulate reveal and send it when it gives the offset they
+     * want, and a block producer could influence it too. Buyers can't, so
+     * the reveal is only as fair as the holders of METADATA_MANAGER_ROLE.
+     *
+     * @param revealedBaseURI The base URI of the artwork metadata, in provenance order.
+     */
+    function reveal(string calldata revealedBaseURI) public onlyRole(METADATA_MANAGER_ROLE) {
+        require(!isRevealed, 'Already revealed.');
+        require(provenanceHash != bytes32(0), 'Provenance hash not set.');
+
+        startingIndex = uint256(keccak256(abi.encodePacked(blockhash(block.number - 1), block.timestamp))) % MAX_MINTS;
+        _baseTokenURI = revealedBaseURI;
+        isRevealed = true;
+
+        emit Revealed(revealedBaseURI, startingIndex);
+        emit BatchMetadataUpdate(0, MAX_MINTS - 1);
+    }
+
+    /**
+     * @notice Metadata manager function to fix the base URI after the reveal,
+     * until the metadata is frozen.
+     *
+     * @param newBaseURI The new base URI of the artwork metadata.
+     */
+    function setBaseURI(string calldata newBaseURI) public onlyRole(METADATA_MANAGER_ROLE) {
+        require(isRevealed, 'Not revealed yet.');
+        require(!isMetadataFrozen, 'Metadata is frozen.');
+        _baseTokenURI = newBaseURI;
+        emit BatchMetadataUpdate(0, MAX_MINTS - 1);
+    }
+
+    /**
+     * @notice Metadata manager function to switch between on-chain metadata and
+     * the base URI, until the metadata is frozen. Either way, tokens keep the
+     * placeholder URI until the reveal.
      *
-     * @param whitelistMerkleRoot An off-chain-generated merkle root for a list
-     * of addresses that should be whitelisted. For more info on generating
-     * merkle roots off chain for this contract, see:
-     * https://dev.to/0xmojo7/merkle-tree-solidity-sc-validation-568m
+     * @param newRenderer The contract generating the metadata, or the zero
+     * address to go back to the URIs.
      */
+    function setRenderer(IMetaDaoNftRenderer newRenderer) public onlyRole(METADATA_MANAGER_ROLE) {
+        require(!isMetadataFrozen, 'Metadata is frozen.');
+        renderer = newRenderer;
+        emit RendererChanged(address(newRenderer));
+        emit BatchMetadataUpdate(0, MAX_MINTS - 1);
+    }
 
-    function updateWhitelist(bytes32 whitelistMerkleRoot) public onlyAdmin {
-        _whitelistMerkleRoot = whitelistMerkleRoot;
+    /**
+     * @notice Metadata manager function to freeze the revealed metadata for good,
+     * including whether it is generated on-chain.
+     */
+    function freezeMetadata() public onlyRole(METADATA_MANAGER_ROLE) {
+        require(isRevealed, 'Not revealed yet.');
+        require(!isMetadataFrozen, 'Metadata is frozen.');
+        isMetadataFrozen = true;
+        emit MetadataFrozen();
     }
 
     /**
-     * @notice Verifies the whitelist status of a recipient address.
-     * @dev To generate the parameters for this function, see:
-     * https://dev.to/0xmojo7/merkle-tree-solidity-sc-validation-568m
-     * https://github.com/miguelmota/merkletreejs/
+     * @notice Whitelist manager function to set the whitelist with a merkle root
+     * that is generated off-chain.
      *
-     * @param recipient The address to check.
-     * @param _proof Array of hex values denoting the kekkack hashes of leaves
-     * in the merkle root tree leading to verified address.
-     * @param _positions Array of string values of 'left' or 'right' denoting the
-     * position of the address in the corresponding _proof array to navigate to
-     * the verifiable address.
+     * @param newWhitelistMerkleRoot An off-chain-generated merkle root for a list
+     * of addresses that should be whitelisted, each with the number of tokens
+     * it may mint. The tree hashes pairs in sorted order, like OpenZeppelin's
+     * MerkleProof, and each leaf is
+     * keccak256(bytes.concat(keccak256(abi.encode(address, allowance)))).
+     * See utilities/merkleTrees.js to generate it.
+     */
+
+    function updateWhitelist(bytes32 newWhitelistMerkleRoot) public onlyRole(WHITELIST_MANAGER_ROLE) {
+        _whitelistMerkleRoot = newWhitelistMerkleRoot;
+    }
+
+    /**
+     * @notice Returns the current whitelist merkle root, or zero if no
+     * whitelist has been set.
+     */
+    function whitelistMerkleRoot() public view returns (bytes32) {
+        return _whitelistMerkleRoot;
+    }
+
+    /**
+     * @notice Verifies the whitelist status of an address.
      *
-     * @return True if the address is whitelisted, false otherwise.
+     * @param account The address to check.
+     * @param allowance The number of tokens the address is whitelisted for.
+     * @param proof The sibling hashes leading from the address's leaf to the
+     * whitelist merkle root.
+     *
+     * @return True if the address is whitelisted with the allowance, false otherwise.
      */
     function verifyWhitelist(
-        address recipient,
-        bytes32[] memory _proof,
-        uint256[] memory _positions
+        address account,
+        uint256 allowance,
+        bytes32[] calldata proof
+    ) public view returns (bool) {
+        return MerkleProof.verifyCalldata(proof, _whitelistMerkleRoot, _whitelistLeaf(account, allowance));
+    }
+
+    /**
+     * @notice Verifies the whitelist status of several addresses at once, with
+     * a single multi-proof that is smaller than their separate proofs.
+     *
+     * @param accounts The addresses to check, in the order getWhitelistMultiProof
+     * in utilities/merkleTrees.js returns them.
+     * @param allowances The number of tokens each address is whitelisted for.
+     * @param proof The hashes needed to rebuild the root from the leaves.
+     * @param proofFlags For each step of rebuilding the root, whether its
+     * second hash comes from the leaves and hashes built so far, or from proof.
+     *
+     * @return True if every address is whitelisted with its allowance, false otherwise.
+     */
+    function verifyWhitelistMultiProof(
+        address[] calldata accounts,
+        uint256[] calldata allowances,
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags
     ) public view returns (bool) {
-        if (_proof.length == 0 || _positions.length == 0) {
-            return false;
-        } else {
-            bytes32 _leaf = keccak256(abi.encodePacked(recipient));
-            return MerkleProof.verify(_whitelistMerkleRoot, _leaf, _proof, _positions);
+        require(accounts.length == allowances.length, 'Must provide an allowance for each account.');
+
+        bytes32[] memory leaves = new bytes32[](accounts.length);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            leaves[i] = _whitelistLeaf(accounts[i], allowances[i]);
         }
+        return MerkleProof.multiProofVerifyCalldata(proof, proofFlags, _whitelistMerkleRoot, leaves);
     }
 
     /**
-     * @notice Mints new tokens for the recipient. Admins can mint any number of
-     * free tokens per transaction, for use in marketing purposes or to give away.
-     * During whitelist, the sender must be whitelisted and provide a proof and
-     * position in the Merkle Tree. During whitelist, there's a max of 2 mints
-     * per tx. During public sales, there's a max of 5 mints per tx. The value
-     * of the transaction must be at least the mint price multiplied by the
-     * number of mints being minted.
+     * @dev Hashes a whitelist entry into its leaf. Hashing twice keeps a leaf
+     * from ever being mistaken for an inner node of the tree.
+     */
+    function _whitelistLeaf(address account, uint256 allowance) private pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(account, allowance))));
+    }
+
+    /**
+     * @notice Sale manager function to replace the sale schedule. Outside of the
+     * scheduled phases, the sale falls back to the whitelist or public phase,
+     * depending on isPublicMintingAllowed.
      *
-     * @dev To generate the _proof and _positions parameters for this function, see:
-     * https://dev.to/0xmojo7/merkle-tree-solidity-sc-validation-568m
-     * https://github.com/miguelmota/merkletreejs/
+     * @param phases The new phases, ordered by start time and not overlapping.
+     * Pass an empty array to clear the schedule.
+     */
+    function setSalePhases(SalePhase[] calldata phases) public onlyRole(SALE_MANAGER_ROLE) {
+        delete _salePhases;
+
+        for (uint256 i = 0; i < phases.length; i++) {
+            require(phases[i].id != bytes32(0), 'Phase must have an id.');
+            require(phases[i].startTime < phases[i].endTime, 'Phase must end after it starts.');
+            require(i == 0 || phases[i - 1].endTime <= phases[i].startTime, 'Phases must be ordered and not overlap.');
+            _salePhases.push(phases[i]);
+        }
+
+        emit SalePhasesChanged(phases.length);
+    }
+
+    /// @notice Returns the scheduled phases of the sale.
+    function salePhases() public view returns (SalePhase[] memory) {
+        return _salePhases;
+    }
+
+    /**
+     * @notice Returns the phase that applies to mints right now: the scheduled
+     * phase running at the current block's timestamp, if any. Otherwise the
+     * public phase if public minting is allowed, or the whitelist phase using
+     * the root set by updateWhitelist.
+     */
+    function currentSalePhase() public view returns (SalePhase memory) {
+        for (uint256 i = 0; i < _salePhases.length; i++) {
+            SalePhase storage phase = _salePhases[i];
+            if (phase.startTime <= block.timestamp && block.timestamp < phase.endTime) {
+                return phase;
+            }
+        }
+
+        if (isPublicMintingAllowed) {
+            return SalePhase(PUBLIC_PHASE, PRICE, 0, 0, 5, maxMintsPerWallet[PUBLIC_PHASE], bytes32(0));
+        }
+        return SalePhase(WHITELIST_PHASE, PRICE, 0, 0, 2, maxMintsPerWallet[WHITELIST_PHASE], _whitelistMerkleRoot);
+    }
+
+    /**
+     * @notice Returns the id of the phase the sale is currently in.
+     *
+     * @return The id of the running scheduled phase, or PUBLIC_PHASE if public
+     * minting is allowed, WHITELIST_PHASE otherwise.
+     */
+    function currentPhase() public view returns (bytes32) {
+        return currentSalePhase().id;
+    }
+
+    /**
+     * @notice Returns how many more tokens a wallet can mint during the current
+     * phase before reaching the per-wallet limit.
+     *
+     * @param minter The address of the wallet sending the mints.
+     */
+    function mintsRemaining(address minter) public view returns (uint256) {
+        SalePhase memory phase = currentSalePhase();
+        uint256 minted = phaseMints[phase.id][minter];
+        return minted >= phase.maxPerWallet ? 0 : phase.maxPerWallet - minted;
+    }
+
+    /**
+     * @notice Sale manager function to set how many tokens a wallet can mint
+     * during a phase, across all of its transactions.
+     *
+     * @param phase WHITELIST_PHASE or PUBLIC_PHASE.
+     * @param maxMints The new per-wallet limit.
+     */
+    function setMaxMintsPerWallet(bytes32 phase, uint256 maxMints) public onlyRole(SALE_MANAGER_ROLE) {
+        require(phase == WHITELIST_PHASE || phase == PUBLIC_PHASE, 'Unknown phase.');
+        maxMintsPerWallet[phase] = maxMints;
+        emit MaxMintsPerWalletChanged(phase, maxMints);
+    }
+
+    /**
+     * @notice Mints new tokens for the recipient under the rules of the
+     * current phase, see currentSalePhase. If the phase has a merkle root, the
+     * sender must be whitelisted and provide their allowance and its proof,
+     * and can't mint more than their allowance during the phase. The
+     * whitelist phase always requires a proof, even before a root is set. The
+     * phase limits the mints per tx and how many tokens the sender can mint
+     * across all transactions. The value of the transaction must be at least
+     * the phase price multiplied by the number of mints being minted. Anything
+     * sent above that is refunded to the sender. Free tokens are given away
+     * with airdrop.
+     *
+     * @dev To generate the allowance and proof parameters for this function,
+     * see utilities/merkleTrees.js. Both are ignored during phases without a
+     * whitelist.
      *
      * @param recipient The address to receive the newly minted tokens
      * @param numMints The number of mints to mint
-     * @param _proof Array of hex values denoting the kekkack hashes of leaves
-     * in the merkle root tree leading to verified address. Used to verify the
-     * recipient is whitelisted, if minting during whitelist period.
-     * @param _positions Array of string values of 'left' or 'right' denoting the
-     * position of the address in the corresponding _proof array to navigate to
-     * the verifiable address. Used to verify the is whitelisted, if minting
-     * during whitelist period.
+     * @param allowance The number of tokens the sender is whitelisted for.
+     * @param proof The sibling hashes leading from the sender's leaf to the
+     * merkle root of the phase.
      */
     function mint(
         address recipient,
         uint8 numMints,
-        bytes32[] memory _proof,
-        uint256[] memory _positions
-    ) public payable onlyWithMintsLeft(numMints) {
-        require(numMints > 0, 'Must provide an amount to mint.');
+        uint256 allowance,
+        bytes32[] calldata proof
+    ) public payable nonReentrant whenNotPaused onlyWithAvailableMintsLeft(numMints) {
+        (SalePhase memory phase, uint256 cost) = _priceMints(numMints);
+
+        bool isWhitelisted = phase.merkleRoot != bytes32(0) || phase.id == WHITELIST_PHASE;
+        if (isWhitelisted) {
+            bytes32 leaf = _whitelistLeaf(_msgSender(), allowance);
+            require(MerkleProof.verifyCalldata(proof, phase.merkleRoot, leaf), 'Not on whitelist.');
+        }
+        _recordPhaseMints(phase, numMints);
+        require(!isWhitelisted || phaseMints[phase.id][_msgSender()] <= allowance, 'Exceeds whitelist allowance.');
 
-        if (!hasRole(DEFAULT_ADMIN_ROLE, _msgSender())) {
-            require(msg.value >= PRICE * numMints, 'Value below price');
+        _mintAndRefund(recipient, numMints, cost, phase.id);
+    }
 
-            if (isPublicMintingAllowed) {
-                require(numMints <= 5, 'Can mint a max of 5 during public sale');
-            } else {
-                require(verifyWhitelist(_msgSender(), _proof, _positions), 'Not on whitelist.');
-                require(numMints <= 2, 'Can mint a max of 2 during presale');
-            }
+    /**
+     * @notice Mints new tokens for the recipient with a voucher, in place of
+     * a merkle proof. The voucher must be for the sender and the current
+     * phase, must not have expired, and must be signed by an address holding
+     * VOUCHER_SIGNER_ROLE. A voucher can be redeemed over several
+     * transactions, up to its maxQuantity. The phase price, per-transaction
+     * and per-wallet limits apply as they do to mint.
+     *
+     * @dev The voucher is checked and counted by MetaDaoNftVouchers. To
+     * issue vouchers, see utilities/vouchers.js and the vouchers:issue task.
+     *
+     * @param recipient The address to receive the newly minted tokens
+     * @param numMints The number of mints to mint
+     * @param voucher The voucher issued to the sender.
+     * @param signature The EIP-712 signature of the voucher.
+     */
+    function mintWithVoucher(
+        address recipient,
+        uint8 numMints,
+        MetaDaoNftVouchers.MintVoucher calldata voucher,
+        bytes calldata signature
+    ) public payable nonReentrant whenNotPaused onlyWithAvailableMintsLeft(numMints) {
+        (SalePhase memory phase, uint256 cost) = _priceMints(numMints);
+        vouchers.redeem(voucher, signature, _msgSender(), phase.id, numMints);
+        _recordPhaseMints(phase, numMints);
+
+        _mintAndRefund(recipient, numMints, cost, phase.id);
+    }
+
+    /**
+     * @dev Looks up the current phase and what the mints cost in it,
+     * reverting if nothing is minted or the transaction value doesn't cover
+     * the cost.
+     *
+     * @param numMints The number of mints being minted.
+     */
+    function _priceMints(uint256 numMints) private view returns (SalePhase memory phase, uint256 cost) {
+        require(numMints > 0, 'Must provide an amount to mint.');
+        phase = currentSalePhase();
+        cost = phase.price * numMints;
+        require(msg.value >= cost, 'Value below price');
+    }
+
+    /**
+     * @dev Mints the tokens and refunds anything sent above their cost.
+     *
+     * @param recipient The address to receive the newly minted tokens
+     * @param numMints The number of mints to mint
+     * @param cost The amount of the transaction value that pays for the mints.
+     * @param phase The id of the phase being minted in.
+     */
+    function _mintAndRefund(
+        address recipient,
+        uint256 numMints,
+        uint256 cost,
+        bytes32 phase
+    ) private {
+        _safeMintAndLog(recipient, numMints, cost, phase);
+        Address.sendValue(payable(address(payouts)), cost);
+
+        if (msg.value > cost) {
+            _refund(msg.value - cost);
         }
+    }
 
-        _safeMint(recipient, numMints);
-        emit SuccessfulMint(numMints, recipient);
+    /**
+     * @dev Mints the tokens and emits Minted with the ID of the first one.
+     * Every way of minting goes through here, so nothing can be minted before
+     * the provenance hash is committed, which reveal needs.
+     *
+     * @param recipient The address to receive the newly minted tokens
+     * @param quantity The number of tokens to mint
+     * @param pricePaid What the sender paid for the tokens in wei.
+     * @param phase The phase to report the mint in.
+     */
+    function _safeMintAndLog(
+        address recipient,
+        uint256 quantity,
+        uint256 pricePaid,
+        bytes32 phase
+    ) private {
+        require(provenanceHash != bytes32(0), 'Provenance hash not set.');
+        uint256 startTokenId = _currentIndex;
+        _safeMint(recipient, quantity);
+        emit Minted(recipient, _msgSender(), startTokenId, quantity, pricePaid, phase);
+    }
+
+    /**
+     * @dev Sends the excess value of a mint back to the sender. This runs
+     * after the mint so the sender can't re-enter with the tokens unminted,
+     * and mint is nonReentrant so it can't mint again from the refund either.
+     *
+     * @param amount The amount to refund in wei.
+     */
+    function _refund(uint256 amount) private {
+        (bool success, ) = payable(_msgSender()).call{value: amount}('');
+        require(success, 'Refund failed.');
+        emit Refunded(_msgSender(), amount);
+    }
+
+    /**
+     * @dev Counts mints against the sender's per-wallet limit for a phase,
+     * reverting if the per-transaction or per-wallet limit would be exceeded.
+     *
+     * @param phase The phase being minted in.
+     * @param numMints The number of mints being minted.
+     */
+    function _recordPhaseMints(SalePhase memory phase, uint256 numMints) private {
+        require(numMints <= phase.maxPerTx, 'Exceeds max mints per transaction.');
+        uint256 minted = phaseMints[phase.id][_msgSender()] + numMints;
+        require(minted <= phase.maxPerWallet, 'Exceeds wallet mint limit.');
+        phaseMints[phase.id][_msgSender()] = minted;
     }
 
     /**
      * @notice Mints claimable tokens for staff members, artist, and founders.
+     * Allocations can be claimed in several goes.
+     *
+     * @dev This function deducts the amount from the staffAllocations map,
+     * releasing it from reservedMints, before minting it to the address
+     * claiming.
      *
-     * @dev This function pulls the allocations from the staffAllocations map,
-     * and mints the appropriate number of mints for the address claiming, then
-     * marks the mints as claimed by setting the value in the map to 0.
+     * @param amount The number of claimable mints to mint.
      */
-    function staffMint() public onlyWithAllocation onlyWithMintsLeft(staffAllocations[_msgSender()]) {
-        _safeMint(_msgSender(), staffAllocations[_msgSender()]);
-        staffAllocations[_msgSender()] = 0;
-        emit SuccessfulMint(staffAllocations[_msgSender()], _msgSender());
+    function staffMint(uint256 amount)
+        public
+        whenNotPaused
+        onlyWithAllocation(amount)
+        onlyWithMintsLeft(amount)
+    {
+        require(amount > 0, 'Must provide an amount to mint.');
+        _setStaffAllocation(_msgSender(), staffAllocations[_msgSender()] - amount);
+        _safeMintAndLog(_msgSender(), amount, 0, STAFF_PHASE);
+    }
+
+    /**
+     * @notice Default admin function to grant, adjust or revoke the claimable
+     * mints of an address.
+     *
+     * @param account The address to change the allocation of.
+     * @param amount The new number of claimable mints. Zero revokes the allocation.
+     */
+    function setStaffAllocation(address account, uint256 amount) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setStaffAllocation(account, amount);
+    }
+
+    /**
+     * @notice Gives away free tokens from the marketing reserve, for
+     * marketing, giveaways and the team. Emits Minted for every recipient.
+     *
+     * @dev To airdrop a long list in batches that fit in a block, see the
+     * airdrop task.
+     *
+     * @param recipients The addresses to mint to.
+     * @param amounts The number of tokens to mint to each recipient.
+     */
+    function airdrop(address[] calldata recipients, uint256[] calldata amounts)
+        public
+        nonReentrant
+        whenNotPaused
+        onlyRole(FREE_MINTER_ROLE)
+    {
+        require(recipients.length == amounts.length, 'Must provide an amount for each recipient.');
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < amounts.length; i++) {
+            require(amounts[i] > 0, 'Must provide an amount to mint.');
+            total += amounts[i];
+        }
+        require(total <= marketingReserve, 'Exceeds marketing reserve.');
+        marketingReserve -= total;
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            _safeMintAndLog(recipients[i], amounts[i], 0, AIRDROP_PHASE);
+        }
+    }
+
+    /**
+     * @notice Default admin function to set how many tokens are left to
+     * airdrop. The reserve is held back from mint, so it can't be larger than
+     * what is available.
+     *
+     * @param amount The new number of tokens to hold back for airdrops.
+     */
+    function setMarketingReserve(uint256 amount) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 previousAmount = marketingReserve;
+        if (amount > previousAmount) {
+            require(amount - previousAmount <= availableMints(), 'Not enough mints left to reserve.');
+        }
+
+        marketingReserve = amount;
+        emit MarketingReserveChanged(previousAmount, amount);
+    }
+
+    /**
+     * @notice Returns how many tokens are left for mint, after holding back
+     * the unclaimed staff allocations and the marketing reserve.
+     */
+    function availableMints() public view returns (uint256) {
+        return MAX_MINTS - totalSupply() - reservedMints - marketingReserve;
+    }
+
+    /**
+     * @dev Sets the claimable mints of an address, keeping reservedMints in
+     * step, and emits AllocationChanged. Reverts if there isn't enough
+     * supply left to reserve a larger allocation.
+     */
+    function _setStaffAllocation(address account, uint256 amount) private {
+        uint256 previousAmount = staffAllocations[account];
+        if (amount > previousAmount) {
+            require(amount - previousAmount <= availableMints(), 'Not enough mints left to reserve.');
+        }
+
+        reservedMints = reservedMints - previousAmount + amount;
+        staffAllocations[account] = amount;
+        emit AllocationChanged(account, previousAmount, amount);
     }
 
     /**
-     * @notice Enables public minting. When enabled, addresses that are not on
-     * the whitelist are able to mint.
+     * @notice Sale manager function to enable public minting. When enabled,
+     * addresses that are not on the whitelist are able to mint.
      */
-    function allowPublicMinting() public onlyAdmin {
+    function allowPublicMinting() public onlyRole(SALE_MANAGER_ROLE) {
         isPublicMintingAllowed = true;
     }
 
     /**
-     * @notice Enables public minting. When enabled, addresses that are not on
-     * the whitelist are able to mint.
+     * @notice Sale manager function to disable public minting, so only
+     * whitelisted addresses are able to mint.
      */
-    function disallowPublicMinting() public onlyAdmin {
+    function disallowPublicMinting() public onlyRole(SALE_MANAGER_ROLE) {
         isPublicMintingAllowed = false;
     }
 
+    /**
+     * @notice Pauser function to stop mint, mintWithVoucher, staffMint and
+     * airdrop in an emergency, whatever the sale phase. Emits Paused.
+     *
+     * @param withTransfers If true, token transfers are blocked as well until
+     * the contract is unpaused.
+     */
+    function pause(bool withTransfers) public onlyRole(PAUSER_ROLE) {
+        areTransfersPaused = withTransfers;
+        _pause();
+    }
+
+    /**
+     * @notice Pauser function to block or allow token transfers while the
+     * contract is paused, for example to block them too after pausing only
+     * minting. Unpausing allows them again either way.
+     *
+     * @param transfersPaused If true, token transfers are blocked.
+     */
+    function setTransfersPaused(bool transfersPaused) public onlyRole(PAUSER_ROLE) whenPaused {
+        areTransfersPaused = transfersPaused;
+    }
+
+    /// @notice Pauser function to allow minting, and transfers, again. Emits Unpaused.
+    function unpause() public onlyRole(PAUSER_ROLE) {
+        areTransfersPaused = false;
+        _unpause();
+    }
+
+    /**
+     * @dev Blocks transfers while they are paused. Mints are stopped by the
+     * functions that mint instead, so they fail with the usual reason.
+     */
+    function _beforeTokenTransfers(
+        address from,
+        address to,
+        uint256 startTokenId,
+        uint256 quantity
+    ) internal override {
+        require(from == address(0) || !areTransfersPaused, 'Transfers are paused.');
+        super._beforeTokenTransfers(from, to, startTokenId, quantity);
+    }
+
     /**
      * @dev All interfaces need to support `supportsInterface`. This function
      * checks if the provided interface ID is supported.
@@ -246,49 +921,86 @@ contract MetaDaoNft is ERC721A, Ownable, AccessControlEnumerable {
      * @param interfaceId The interface ID to check.
      *
      * @return True if the interface is supported (AccessControlEnumerable,
-     * ERC721, ERC721Enumerable), false otherwise.
+     * ERC721, ERC721Enumerable, ERC2981, ERC4906), false otherwise.
      */
     function supportsInterface(bytes4 interfaceId)
         public
         view
         virtual
-        override(AccessControlEnumerable, ERC721A)
+        override(AccessControlEnumerable, ERC721A, ERC2981)
         returns (bool)
     {
-        return super.supportsInterface(interfaceId);
+        return interfaceId == bytes4(0x49064906) || super.supportsInterface(interfaceId);
     }
 
     /**
-     * @notice Withdraws all funds from contract address. Founders get 90%,
-     * artist gets remaining 10%.
+     * @notice Treasury function to set the royalty paid on secondary sales
+     * of every token without an override.
      *
+     * @param receiver The address royalties are paid to.
+     * @param feeNumerator The royalty in basis points of the sale price.
      */
-    function withdrawAll() public {
-        uint256 balance = address(this).balance;
-        uint256 founderCount = getRoleMemberCount(FOUNDER_ROLE);
-        require(balance > 0, 'Nothing to withdraw.');
+    function setDefaultRoyalty(address receiver, uint96 feeNumerator) public onlyRole(TREASURY_ROLE) {
+        _setDefaultRoyalty(receiver, feeNumerator);
+        emit DefaultRoyaltyChanged(receiver, feeNumerator);
+    }
 
-        // 90% split between founders
-        uint256 founderBalance = (balance * 9) / 10;
-        for (uint256 i = 0; i < founderCount; i++) {
-            address member = getRoleMember(FOUNDER_ROLE, i);
-            _withdraw(member, founderBalance / founderCount);
-        }
+    /// @notice Treasury function to stop paying a default royalty. Token overrides still apply.
+    function deleteDefaultRoyalty() public onlyRole(TREASURY_ROLE) {
+        _deleteDefaultRoyalty();
+        emit DefaultRoyaltyChanged(address(0), 0);
+    }
+
+    /**
+     * @notice Treasury function to override the royalty of a single token.
+     *
+     * @param tokenId The token to override the royalty of.
+     * @param receiver The address royalties are paid to.
+     * @param feeNumerator The royalty in basis points of the sale price.
+     */
+    function setTokenRoyalty(
+        uint256 tokenId,
+        address receiver,
+        uint96 feeNumerator
+    ) public onlyRole(TREASURY_ROLE) {
+        _setTokenRoyalty(tokenId, receiver, feeNumerator);
+        emit TokenRoyaltyChanged(tokenId, receiver, feeNumerator);
+    }
 
-        uint256 artistBalance = address(this).balance; // Should be the remaining 10%.
-        address artist = getRoleMember(ARTIST_ROLE, 0);
-        _withdraw(artist, artistBalance);
+    /**
+     * @notice Treasury function to remove a token's royalty override, so the
+     * default royalty applies to it again.
+     *
+     * @param tokenId The token to reset.
+     */
+    function resetTokenRoyalty(uint256 tokenId) public onlyRole(TREASURY_ROLE) {
+        _resetTokenRoyalty(tokenId);
+        emit TokenRoyaltyChanged(tokenId, address(0), 0);
+    }
+
+    /**
+     * @notice Treasury function to change who funds are split between, see
+     * MetaDaoNftPayouts.setPayees.
+     *
+     * @param newPayees The addresses to split funds between.
+     * @param newShares The share of each payee in basis points, adding up to TOTAL_SHARES.
+     * @param tokens ERC20 tokens to list, if they aren't already.
+     */
+    function setPayees(
+        address[] calldata newPayees,
+        uint256[] calldata newShares,
+        IERC20[] calldata tokens
+    ) public onlyRole(TREASURY_ROLE) {
+        payouts.setPayees(newPayees, newShares, tokens);
     }
 
     /**
-     * @dev Encapsulates the logic of withdrawing funds from the contract to
-     * a given address.
+     * @notice Treasury function to stop accruing an ERC20 when the payees
+     * change, see MetaDaoNftPayouts.delistToken.
      *
-     * @param recipient The address to receive the funds.
-     * @param amount The amount of funds to be withdrawn.
+     * @param token The ERC20 contract to delist.
      */
-    function _withdraw(address recipient, uint256 amount) private {
-        (bool success, ) = recipient.call{value: amount}('');
-        require(success, 'Transfer failed.');
+    function delistPayoutToken(IERC20 token) public onlyRole(TREASURY_ROLE) {
+        payouts.delistToken(token);
     }
 }
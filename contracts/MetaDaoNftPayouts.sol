@@ -0,0 +1,300 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/security/ReentrancyGuard.sol';
+import '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+import '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol';
+
+/**
+ *  @title Meta DAO NFT Payouts
+ *
+ *  @notice Holds the funds from Meta DAO NFT sales, in ETH or any ERC20, and
+ *  splits them between payees by their shares. Each payee's part can be
+ *  released to them any time by anyone. The NFT contract deploys this with
+ *  the founders sharing a 90% split and the artist getting the remaining
+ *  10%, and is the only one that can change the payees afterwards, gated by
+ *  its TREASURY_ROLE.
+ */
+
+contract MetaDaoNftPayouts is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /// @dev The total of all payee shares, in basis points.
+    uint256 public constant TOTAL_SHARES = 10000;
+
+    /// @dev The NFT contract that deployed this one, and the only one that can change the payees.
+    address public immutable nft;
+
+    /// @dev The addresses funds are split between.
+    address[] private _payees;
+
+    /// @dev The share of funds each payee gets, in basis points of TOTAL_SHARES.
+    mapping(address => uint256) public payeeShares;
+
+    /**
+     * @dev The funds owed to each payee that haven't been released yet, by
+     * token. ETH is keyed as the zero address. Funds are only added here when
+     * they are accrued, see _accrue.
+     */
+    mapping(address => mapping(address => uint256)) private _owed;
+
+    /// @dev The total of _owed for each token, which is the part of the balance already accrued.
+    mapping(address => uint256) private _totalOwed;
+
+    /// @dev The ERC20 tokens the treasury has listed, which setPayees accrues every time.
+    address[] private _tokens;
+
+    /// @dev Whether each ERC20 is in _tokens.
+    mapping(address => bool) private _isToken;
+
+    /// @dev An event emitted when the payees or their shares change.
+    event PayeesChanged(address[] payees, uint256[] shares);
+
+    /// @dev An event emitted when funds are released to a payee. The token is the zero address for ETH.
+    event PaymentReleased(address indexed token, address indexed payee, uint256 amount);
+
+    /// @dev An event emitted when the treasury lists an ERC20 for setPayees to accrue.
+    event TokenListed(address indexed token);
+
+    /// @dev An event emitted when the treasury delists an ERC20.
+    event TokenDelisted(address indexed token);
+
+    /**
+     * @notice Deploys the splitter for the sender, with the founders sharing
+     * 90% evenly and the artist getting the rest.
+     *
+     * @param founders The addresses of the founders.
+     * @param artist The address of the artist.
+     */
+    constructor(address[] memory founders, address artist) {
+        nft = msg.sender;
+
+        uint256[] memory defaultShares = new uint256[](founders.length + 1);
+        address[] memory defaultPayees = new address[](founders.length + 1);
+        uint256 foundersShare = 0;
+        for (uint256 i = 0; i < founders.length; i++) {
+            defaultPayees[i] = founders[i];
+            defaultShares[i] = (TOTAL_SHARES * 9) / 10 / founders.length;
+            foundersShare += defaultShares[i];
+        }
+        defaultPayees[founders.length] = artist;
+        defaultShares[founders.length] = TOTAL_SHARES - foundersShare;
+        _setPayees(defaultPayees, defaultShares);
+    }
+
+    /// @dev Accepts ETH from sales, and from anyone else paying the payees.
+    receive() external payable {}
+
+    /**
+     * @notice Changes who funds are split between, on behalf of the NFT
+     * contract's treasury. The ETH balance and every listed ERC20, see
+     * listedTokens, are accrued to the current payees first, so funds
+     * received before the change are split with the old shares. The tokens
+     * passed in are listed first, so they are split the same way this time
+     * and every time after.
+     *
+     * @dev Only the treasury lists tokens, since every listed token is called
+     * here. A token whose balanceOf starts reverting blocks this until it is
+     * delisted, see delistToken.
+     *
+     * @param newPayees The addresses to split funds between.
+     * @param newShares The share of each payee in basis points, adding up to TOTAL_SHARES.
+     * @param tokens ERC20 tokens to list, if they aren't already.
+     */
+    function setPayees(
+        address[] calldata newPayees,
+        uint256[] calldata newShares,
+        IERC20[] calldata tokens
+    ) external {
+        require(msg.sender == nft, 'Must be the NFT contract.');
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            _listToken(address(tokens[i]));
+        }
+        _accrue(address(0));
+        for (uint256 i = 0; i < _tokens.length; i++) {
+            _accrue(_tokens[i]);
+        }
+
+        for (uint256 i = 0; i < _payees.length; i++) {
+            delete payeeShares[_payees[i]];
+        }
+        _setPayees(newPayees, newShares);
+    }
+
+    /// @notice Returns the payees and their shares in basis points.
+    function payees() public view returns (address[] memory, uint256[] memory) {
+        uint256[] memory shares = new uint256[](_payees.length);
+        for (uint256 i = 0; i < _payees.length; i++) {
+            shares[i] = payeeShares[_payees[i]];
+        }
+        return (_payees, shares);
+    }
+
+    /**
+     * @notice Stops accruing an ERC20 when the payees change, on behalf of
+     * the NFT contract's treasury. What the payees are already owed of it can
+     * still be released.
+     *
+     * @param token The ERC20 contract to delist.
+     */
+    function delistToken(IERC20 token) external {
+        require(msg.sender == nft, 'Must be the NFT contract.');
+        require(_isToken[address(token)], 'Token is not listed.');
+
+        for (uint256 i = 0; i < _tokens.length; i++) {
+            if (_tokens[i] == address(token)) {
+                _tokens[i] = _tokens[_tokens.length - 1];
+                _tokens.pop();
+                break;
+            }
+        }
+        _isToken[address(token)] = false;
+        emit TokenDelisted(address(token));
+    }
+
+    /// @notice Returns the ERC20 tokens the treasury has listed, which setPayees always accrues.
+    function listedTokens() public view returns (address[] memory) {
+        return _tokens;
+    }
+
+    /**
+     * @notice Returns the ETH a payee can be sent with release.
+     *
+     * @param payee The address of the payee.
+     */
+    function releasable(address payee) public view returns (uint256) {
+        return _releasable(address(0), payee);
+    }
+
+    /**
+     * @notice Returns the amount of an ERC20 a payee can be sent with releaseERC20.
+     *
+     * @param token The ERC20 contract.
+     * @param payee The address of the payee.
+     */
+    function releasableERC20(IERC20 token, address payee) public view returns (uint256) {
+        return _releasable(address(token), payee);
+    }
+
+    /**
+     * @notice Sends a payee the ETH they are owed. Anyone can call this, but
+     * the funds only ever go to the payee. If sending fails, only that
+     * payee's release reverts, the others can still be released.
+     *
+     * @param payee The address of the payee.
+     */
+    function release(address payee) public nonReentrant {
+        uint256 amount = _release(address(0), payee);
+        _withdraw(payee, amount);
+    }
+
+    /**
+     * @notice Sends a payee the amount of an ERC20 they are owed, see release.
+     *
+     * @param token The ERC20 contract.
+     * @param payee The address of the payee.
+     */
+    function releaseERC20(IERC20 token, address payee) public nonReentrant {
+        uint256 amount = _release(address(token), payee);
+        token.safeTransfer(payee, amount);
+    }
+
+    /**
+     * @dev Validates and stores the payees and their shares.
+     */
+    function _setPayees(address[] memory newPayees, uint256[] memory newShares) private {
+        require(newPayees.length > 0 && newPayees.length == newShares.length, 'Must provide a share for each payee.');
+
+        uint256 totalShares = 0;
+        for (uint256 i = 0; i < newPayees.length; i++) {
+            require(newPayees[i] != address(0), 'Payee is the zero address.');
+            require(newShares[i] > 0, 'Payee must have a share.');
+            require(payeeShares[newPayees[i]] == 0, 'Duplicate payee.');
+            payeeShares[newPayees[i]] = newShares[i];
+            totalShares += newShares[i];
+        }
+        require(totalShares == TOTAL_SHARES, 'Shares must add up to TOTAL_SHARES.');
+
+        _payees = newPayees;
+        emit PayeesChanged(newPayees, newShares);
+    }
+
+    /// @dev Returns the contract's balance of a token, or of ETH for the zero address.
+    function _balanceOf(address token) private view returns (uint256) {
+        return token == address(0) ? address(this).balance : IERC20(token).balanceOf(address(this));
+    }
+
+    /**
+     * @dev Returns the part of a token balance that hasn't been accrued yet.
+     * A token whose balance drops below what is owed, such as a rebasing or
+     * fee-on-transfer token, has nothing unaccrued rather than reverting.
+     */
+    function _unaccrued(address token) private view returns (uint256) {
+        uint256 balance = _balanceOf(token);
+        return balance > _totalOwed[token] ? balance - _totalOwed[token] : 0;
+    }
+
+    /**
+     * @dev Splits the part of a token balance that hasn't been accrued yet
+     * between the payees. Rounding dust stays unaccrued until the next time.
+     *
+     * @param token The ERC20 contract, or the zero address for ETH.
+     */
+    function _accrue(address token) private {
+        uint256 unaccrued = _unaccrued(token);
+        uint256 accrued = 0;
+
+        for (uint256 i = 0; i < _payees.length; i++) {
+            uint256 amount = (unaccrued * payeeShares[_payees[i]]) / TOTAL_SHARES;
+            _owed[token][_payees[i]] += amount;
+            accrued += amount;
+        }
+
+        _totalOwed[token] += accrued;
+    }
+
+    /// @dev Adds an ERC20 to _tokens if it isn't there yet. The zero address, ETH, is never added.
+    function _listToken(address token) private {
+        if (token != address(0) && !_isToken[token]) {
+            _isToken[token] = true;
+            _tokens.push(token);
+            emit TokenListed(token);
+        }
+    }
+
+    /// @dev Returns what a payee is owed, including their share of the unaccrued balance.
+    function _releasable(address token, address payee) private view returns (uint256) {
+        return _owed[token][payee] + (_unaccrued(token) * payeeShares[payee]) / TOTAL_SHARES;
+    }
+
+    /**
+     * @dev Accrues a token and clears what a payee is owed of it, reverting
+     * if they are owed nothing.
+     *
+     * @return The amount to send to the payee.
+     */
+    function _release(address token, address payee) private returns (uint256) {
+        _accrue(token);
+        uint256 amount = _owed[token][payee];
+        require(amount > 0, 'Nothing to release.');
+
+        _owed[token][payee] = 0;
+        _totalOwed[token] -= amount;
+        emit PaymentReleased(token, payee, amount);
+        return amount;
+    }
+
+    /**
+     * @dev Encapsulates the logic of withdrawing funds from the contract to
+     * a given address.
+     *
+     * @param recipient The address to receive the funds.
+     * @param amount The amount of funds to be withdrawn.
+     */
+    function _withdraw(address recipient, uint256 amount) private {
+        (bool success, ) = recipient.call{value: amount}('');
+        require(success, 'Transfer failed.');
+    }
+}
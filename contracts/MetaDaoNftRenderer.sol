@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import './interfaces/IMetaDaoNftRenderer.sol';
+import './utils/Base64.sol';
+import '@openzeppelin/contracts/utils/Strings.sol';
+
+/**
+ *  @title Meta DAO NFT Renderer
+ *
+ *  @notice Renders the metadata and artwork of Meta DAO NFTs fully on-chain.
+ *  Each token gets a member number from its token ID, traits derived from its
+ *  position in the provenance order, and an SVG image drawn from those
+ *  traits. The metadata is returned as a
+ *  base64-encoded JSON data URI, with the SVG as a base64-encoded data URI
+ *  inside it.
+ */
+contract MetaDaoNftRenderer is IMetaDaoNftRenderer {
+    /// @dev The number of rings a token can have is 1 to MAX_RINGS.
+    uint256 public constant MAX_RINGS = 5;
+
+    /**
+     * @notice Returns the metadata of a token as a data URI.
+     *
+     * @param tokenId The token to render.
+     * @param position The token's position in the provenance order.
+     */
+    function tokenURI(uint256 tokenId, uint256 position) external pure override returns (string memory) {
+        uint256 memberNumber = tokenId + 1;
+        (string memory background, string memory color, uint256 rings) = traits(position);
+
+        bytes memory json = abi.encodePacked(
+            '{"name":"Meta DAO NFT #',
+            Strings.toString(memberNumber),
+            '","description":"A membership token of the Meta DAO.","attributes":[',
+            '{"trait_type":"Member Number","display_type":"number","value":',
+            Strings.toString(memberNumber),
+            '},{"trait_type":"Background","value":"',
+            background,
+            '"},{"trait_type":"Rings","value":',
+            Strings.toString(rings),
+            '}],"image":"data:image/svg+xml;base64,',
+            Base64.encode(_svg(memberNumber, color, rings)),
+            '"}'
+        );
+
+        return string(abi.encodePacked('data:application/json;base64,', Base64.encode(json)));
+    }
+
+    /**
+     * @notice Returns the traits of the artwork at a position in the
+     * provenance order.
+     *
+     * @param position The position of the artwork.
+     *
+     * @return background The name of the background color.
+     * @return color The background color as a hex color.
+     * @return rings The number of rings drawn on the token, from 1 to MAX_RINGS.
+     */
+    function traits(uint256 position)
+        public
+        pure
+        returns (
+            string memory background,
+            string memory color,
+            uint256 rings
+        )
+    {
+        uint256 seed = uint256(keccak256(abi.encodePacked(position)));
+        string[8] memory backgrounds = ['Midnight', 'Indigo', 'Teal', 'Forest', 'Amber', 'Crimson', 'Plum', 'Slate'];
+        string[8] memory colors = [
+            '#191970',
+            '#4b0082',
+            '#008080',
+            '#228b22',
+            '#ffbf00',
+            '#dc143c',
+            '#8e4585',
+            '#708090'
+        ];
+
+        background = backgrounds[seed % 8];
+        color = colors[seed % 8];
+        rings = ((seed >> 8) % MAX_RINGS) + 1;
+    }
+
+    /**
+     * @dev Draws the artwork of a token: its background color, its rings and
+     * its member number.
+     */
+    function _svg(
+        uint256 memberNumber,
+        string memory color,
+        uint256 rings
+    ) private pure returns (bytes memory svg) {
+        svg = abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 350"><rect width="350" height="350" fill="',
+            color,
+            '"/>'
+        );
+
+        for (uint256 i = 1; i <= rings; i++) {
+            svg = abi.encodePacked(
+                svg,
+                '<circle cx="175" cy="160" r="',
+                Strings.toString(i * 25),
+                '" fill="none" stroke="#fff" stroke-width="4"/>'
+            );
+        }
+
+        svg = abi.encodePacked(
+            svg,
+            '<text x="175" y="330" text-anchor="middle" font-family="monospace" font-size="20" fill="#fff">Meta DAO #',
+            Strings.toString(memberNumber),
+            '</text></svg>'
+        );
+    }
+}
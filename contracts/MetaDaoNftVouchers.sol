@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/access/IAccessControl.sol';
+import '@openzeppelin/contracts/utils/cryptography/ECDSA.sol';
+import '@openzeppelin/contracts/utils/cryptography/EIP712.sol';
+
+/**
+ *  @title Meta DAO NFT Vouchers
+ *
+ *  @notice Checks and counts the EIP-712 mint vouchers of the Meta DAO NFT.
+ *  The NFT contract deploys this and asks it to redeem a voucher whenever
+ *  mintWithVoucher is called. Vouchers are signed for this contract's
+ *  address, by a key holding VOUCHER_SIGNER_ROLE on the NFT contract.
+ */
+
+contract MetaDaoNftVouchers is EIP712 {
+    /// @dev The EIP-712 type of a MintVoucher.
+    bytes32 public constant MINT_VOUCHER_TYPEHASH =
+        keccak256('MintVoucher(address minter,uint256 maxQuantity,bytes32 phase,uint256 expiry,uint256 nonce)');
+
+    /// @dev The role on the NFT contract of the keys that sign vouchers.
+    bytes32 private constant _VOUCHER_SIGNER_ROLE = keccak256('VOUCHER_SIGNER_ROLE');
+
+    /// @dev The NFT contract that deployed this one, and the only one that can redeem vouchers.
+    IAccessControl public immutable nft;
+
+    /**
+     * @dev A signed permission for the minter to mint up to maxQuantity tokens
+     * during a phase, until the expiry timestamp. The nonce tells apart the
+     * vouchers issued to the same minter.
+     */
+    struct MintVoucher {
+        address minter;
+        uint256 maxQuantity;
+        bytes32 phase;
+        uint256 expiry;
+        uint256 nonce;
+    }
+
+    /// @dev The number of tokens minted with each voucher, by minter and nonce.
+    mapping(address => mapping(uint256 => uint256)) public voucherMints;
+
+    /// @dev An event emitted when tokens are minted with a voucher.
+    event VoucherRedeemed(address indexed minter, uint256 indexed nonce, uint256 numMints);
+
+    /// @notice Deploys the voucher checks for the sender.
+    constructor() EIP712('Meta DAO NFT', '1') {
+        nft = IAccessControl(msg.sender);
+    }
+
+    /**
+     * @notice Checks a voucher for a mint and counts the mints against it,
+     * on behalf of the NFT contract. The voucher must be for the minter and
+     * the phase, must not have expired, must be signed by an address holding
+     * VOUCHER_SIGNER_ROLE, and can be redeemed over several mints up to its
+     * maxQuantity.
+     *
+     * @param voucher The voucher issued to the minter.
+     * @param signature The EIP-712 signature of the voucher.
+     * @param minter The sender of the mint.
+     * @param phase The id of the phase the mint is in.
+     * @param numMints The number of tokens being minted.
+     */
+    function redeem(
+        MintVoucher calldata voucher,
+        bytes calldata signature,
+        address minter,
+        bytes32 phase,
+        uint256 numMints
+    ) external {
+        require(msg.sender == address(nft), 'Must be the NFT contract.');
+        require(voucher.minter == minter, 'Voucher is for another minter.');
+        require(block.timestamp <= voucher.expiry, 'Voucher has expired.');
+        require(voucher.phase == phase, 'Voucher is for another phase.');
+        require(
+            nft.hasRole(_VOUCHER_SIGNER_ROLE, ECDSA.recover(hashVoucher(voucher), signature)),
+            'Invalid voucher signature.'
+        );
+
+        uint256 redeemed = voucherMints[voucher.minter][voucher.nonce] + numMints;
+        require(redeemed <= voucher.maxQuantity, 'Exceeds voucher quantity.');
+        voucherMints[voucher.minter][voucher.nonce] = redeemed;
+        emit VoucherRedeemed(voucher.minter, voucher.nonce, numMints);
+    }
+
+    /**
+     * @notice Returns the EIP-712 digest of a voucher, which its signer signs.
+     * The domain is named 'Meta DAO NFT', version '1', and is bound to this
+     * contract and chain, so a voucher can't be replayed elsewhere.
+     *
+     * @param voucher The voucher to hash.
+     */
+    function hashVoucher(MintVoucher calldata voucher) public view returns (bytes32) {
+        return
+            _hashTypedDataV4(
+                keccak256(
+                    abi.encode(
+                        MINT_VOUCHER_TYPEHASH,
+                        voucher.minter,
+                        voucher.maxQuantity,
+                        voucher.phase,
+                        voucher.expiry,
+                        voucher.nonce
+                    )
+                )
+            );
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+/**
+ *  @title Meta DAO NFT Renderer
+ *
+ *  @notice Generates token metadata on-chain for the Meta DAO NFT.
+ */
+interface IMetaDaoNftRenderer {
+    /**
+     * @notice Returns the metadata of a token as a data URI. The artwork
+     * comes from the token's position in the provenance order, so it can't
+     * be known before the reveal picks the starting index.
+     *
+     * @param tokenId The token to render.
+     * @param position The token's position in the provenance order, (tokenId + startingIndex) % MAX_MINTS.
+     */
+    function tokenURI(uint256 tokenId, uint256 position) external view returns (string memory);
+}
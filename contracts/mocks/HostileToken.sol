@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/token/ERC20/ERC20.sol';
+
+/**
+ *  @title Hostile Token
+ *
+ *  @notice An ERC20 that can be made to revert on balanceOf, or to lose
+ *  balance like a rebasing token, for testing that payouts can't be blocked.
+ */
+contract HostileToken is ERC20 {
+    bool public isHostile;
+
+    constructor() ERC20('Hostile Token', 'HOSTILE') {}
+
+    function mint(address account, uint256 amount) public {
+        _mint(account, amount);
+    }
+
+    function burn(address account, uint256 amount) public {
+        _burn(account, amount);
+    }
+
+    function setHostile(bool hostile) public {
+        isHostile = hostile;
+    }
+
+    function balanceOf(address account) public view override returns (uint256) {
+        require(!isHostile, 'Hostile token.');
+        return super.balanceOf(account);
+    }
+}
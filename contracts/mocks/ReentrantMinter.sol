@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import '../MetaDaoNft.sol';
+
+/**
+ *  @title Reentrant Minter
+ *
+ *  @notice A test contract that overpays for mints and, if asked to, tries to
+ *  mint again when it receives the refund.
+ */
+contract ReentrantMinter {
+    MetaDaoNft private immutable _token;
+
+    /// @dev If true, receiving a refund tries to mint again.
+    bool public reenter;
+
+    constructor(MetaDaoNft token) {
+        _token = token;
+    }
+
+    function setReenter(bool newReenter) public {
+        reenter = newReenter;
+    }
+
+    function mint(address recipient, uint8 numMints) public payable {
+        _token.mint{value: msg.value}(recipient, numMints, 0, new bytes32[](0));
+    }
+
+    receive() external payable {
+        if (reenter) {
+            _token.mint{value: msg.value}(tx.origin, 1, 0, new bytes32[](0));
+        }
+    }
+}
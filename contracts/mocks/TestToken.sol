@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/token/ERC20/ERC20.sol';
+
+/**
+ *  @title Test Token
+ *
+ *  @notice An ERC20 anyone can mint, for testing payouts in tokens.
+ */
+contract TestToken is ERC20 {
+    constructor() ERC20('Test Token', 'TEST') {}
+
+    function mint(address account, uint256 amount) public {
+        _mint(account, amount);
+    }
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol';
+
+/**
+ *  @title Token Receiver
+ *
+ *  @notice A test contract that only accepts safe transfers of ERC721 tokens
+ *  while it is asked to, for testing batches that fail part way, and that can
+ *  use up gas on every token it receives.
+ */
+contract TokenReceiver is IERC721Receiver {
+    /// @dev If true, safe transfers to this contract go through.
+    bool public accepting;
+
+    /// @dev The gas used up on every token received.
+    uint256 public gasPerToken;
+
+    function setAccepting(bool newAccepting) public {
+        accepting = newAccepting;
+    }
+
+    function setGasPerToken(uint256 newGasPerToken) public {
+        gasPerToken = newGasPerToken;
+    }
+
+    function onERC721Received(
+        address,
+        address,
+        uint256,
+        bytes calldata
+    ) external view returns (bytes4) {
+        require(accepting, 'TokenReceiver: not accepting');
+        uint256 start = gasleft();
+        while (start - gasleft() < gasPerToken) {}
+        return IERC721Receiver.onERC721Received.selector;
+    }
+}
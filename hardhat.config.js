@@ -1,6 +1,21 @@
 require('@nomiclabs/hardhat-waffle')
 require('@nomiclabs/hardhat-etherscan')
-const secrets = require('./secrets.json')
+require('./tasks/airdrop')
+require('./tasks/deploy')
+require('./tasks/export')
+require('./tasks/metadata')
+require('./tasks/sale')
+require('./tasks/vouchers')
+require('./tasks/whitelist')
+const { loadSecrets, networksFrom, assertNetworkConfigured, targetNetwork } = require('./utilities/networks')
+
+// Secrets come from environment variables or an optional secrets.json. Only
+// networks with all their secrets present are registered. FORK_NETWORK makes
+// the hardhat network a fork of the named network, for deploy dry runs.
+const secrets = loadSecrets()
+const { networks, missing } = networksFrom(secrets, process.env.FORK_NETWORK)
+assertNetworkConfigured(targetNetwork(), missing)
+assertNetworkConfigured(process.env.FORK_NETWORK, missing)
 
 module.exports = {
   solidity: {
@@ -12,20 +27,7 @@ module.exports = {
       },
     },
   },
-  networks: {
-    ropsten: {
-      url: `https://eth-ropsten.alchemyapi.io/v2/${secrets.ropsteinAlchemyKey}`,
-      accounts: [`0x${secrets.testWalletPrivateKey}`],
-    },
-    rinkeby: {
-      url: `https://eth-rinkeby.alchemyapi.io/v2/${secrets.rinkebyAlchemyKey}`,
-      accounts: [`0x${secrets.testWalletPrivateKey}`],
-    },
-    mainnet: {
-      url: `https://eth-mainnet.alchemyapi.io/v2/${secrets.mainnetAlchemyKey}`,
-      accounts: [`0x${secrets.prodWalletPrivateKey}`],
-    },
-  },
+  networks,
   etherscan: {
     apiKey: secrets.etherscanApiKey,
   },
@@ -0,0 +1,113 @@
+const { task, types } = require('hardhat/config')
+const { readAddressEntries, normalizeEntries } = require('../utilities/whitelist')
+const { getMetaDaoNft, assertSignerHasRole, assertConfirmed } = require('../utilities/contract')
+const { chunkAirdrop, airdropDigest, readAirdropProgress, writeAirdropProgress } = require('../utilities/airdrop')
+
+/**
+ * Settles the transaction a previous run sent but didn't see confirmed,
+ * counting its recipients as done if it went through.
+ */
+async function settlePending(file, progress, { ethers }) {
+  const { hash, from, to } = progress.pending
+  const receipt = await ethers.provider.getTransactionReceipt(hash)
+  if (!receipt) {
+    throw new Error(`Transaction ${hash} for recipients ${from + 1} to ${to} is still pending. Rerun once it is mined.`)
+  }
+
+  if (receipt.status === 1) {
+    progress.transactions.push({ from, to, hash, blockNumber: receipt.blockNumber })
+    progress.airdropped = to
+  }
+  delete progress.pending
+  writeAirdropProgress(file, progress)
+}
+
+task('airdrop', 'Airdrops tokens from the marketing reserve to every address of a file, in chunks that fit in a block')
+  .addPositionalParam('input', 'A CSV or JSON file of addresses, optionally with the number of tokens for each')
+  .addOptionalParam('address', 'The MetaDaoNft address. Defaults to the recorded deployment for the network')
+  .addOptionalParam('amount', 'The number of tokens for addresses without one', 1, types.int)
+  .addOptionalParam(
+    'gasLimit',
+    'The most gas each transaction may use. Defaults to half the block gas limit',
+    undefined,
+    types.int
+  )
+  .addOptionalParam('progress', 'The file tracking which recipients are done. Defaults to <input>.progress.json')
+  .addFlag('confirm', 'Confirm the change on networks that require it, such as mainnet')
+  .addOptionalParam('confirmations', 'The number of confirmations to wait for', 1, types.int)
+  .setAction(async ({ input, address, amount, gasLimit, progress: progressFile, confirm, confirmations }, hre) => {
+    const { entries: normalized, duplicates } = normalizeEntries(readAddressEntries(input), amount, 'amount')
+    if (duplicates > 0) {
+      console.log(`Skipped ${duplicates} duplicate address(es).`)
+    }
+    const entries = normalized.map(({ address, allowance }) => ({ address, amount: allowance }))
+
+    const contract = await getMetaDaoNft(hre, address)
+    await assertSignerHasRole(contract, 'FREE_MINTER_ROLE')
+
+    const { chainId } = await hre.ethers.provider.getNetwork()
+    const file = progressFile || `${input}.progress.json`
+    const progress = readAirdropProgress(file, { contract: contract.address, chainId, digest: airdropDigest(entries) })
+    if (progress.pending) {
+      await settlePending(file, progress, hre)
+    }
+
+    const remaining = entries.slice(progress.airdropped)
+    if (remaining.length === 0) {
+      console.log(`All ${entries.length} recipients have already been airdropped to.`)
+      return progress
+    }
+
+    const total = remaining.reduce((sum, entry) => sum + entry.amount, 0)
+    const reserve = await contract.marketingReserve()
+    if (reserve.lt(total)) {
+      throw new Error(`Airdropping ${total} tokens needs more than the marketing reserve of ${reserve}.`)
+    }
+    await assertConfirmed(`Airdropping ${total} tokens`, confirm, hre)
+
+    const limit = gasLimit || Math.floor((await hre.ethers.provider.getBlock('latest')).gasLimit.toNumber() / 2)
+    const chunks = chunkAirdrop(remaining, limit)
+    if (progress.airdropped > 0) {
+      console.log(`Resuming after ${progress.airdropped} of ${entries.length} recipients`)
+    }
+    console.log(`Airdropping ${total} tokens to ${remaining.length} recipients in ${chunks.length} transaction(s)`)
+
+    while (chunks.length > 0) {
+      const chunk = chunks.shift()
+      const from = progress.airdropped
+      const to = from + chunk.length
+      const args = [chunk.map((entry) => entry.address), chunk.map((entry) => entry.amount)]
+
+      // Contract recipients can use more gas than chunkAirdrop allows for, so
+      // a chunk that doesn't fit after all is split in two.
+      const gas = await contract.estimateGas.airdrop(...args)
+      if (gas.gt(limit)) {
+        if (chunk.length === 1) {
+          throw new Error(
+            `Airdropping ${chunk[0].amount} tokens to ${chunk[0].address} needs ${gas} gas, over ${limit}.`
+          )
+        }
+        const half = Math.ceil(chunk.length / 2)
+        chunks.unshift(chunk.slice(0, half), chunk.slice(half))
+        console.log(`Recipients ${from + 1} to ${to} need ${gas} gas, over ${limit}. Splitting them in two.`)
+        continue
+      }
+
+      const tx = await contract.airdrop(...args, { gasLimit: gas })
+      progress.pending = { from, to, hash: tx.hash }
+      writeAirdropProgress(file, progress)
+
+      const receipt = await tx.wait(confirmations)
+      progress.transactions.push({ from, to, hash: tx.hash, blockNumber: receipt.blockNumber })
+      progress.airdropped = to
+      delete progress.pending
+      writeAirdropProgress(file, progress)
+      console.log(
+        `Recipients ${from + 1} to ${to} confirmed in block ${receipt.blockNumber} (tx ${tx.hash}, gas ${
+          receipt.gasUsed
+        })`
+      )
+    }
+
+    return progress
+  })
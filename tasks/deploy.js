@@ -0,0 +1,93 @@
+const fs = require('fs')
+const { task, types } = require('hardhat/config')
+const { loadDeployConfig, constructorArgs } = require('../utilities/deployConfig')
+const {
+  DEPLOYMENTS_DIR,
+  deploymentPath,
+  createDeploymentRecord,
+  saveDeployment,
+  updateDeployment,
+} = require('../utilities/deployments')
+const { verifyDeployment } = require('../utilities/verification')
+const { CONFIRMATION_CHAIN_IDS, runPreflight, formatPreflight } = require('../utilities/preflight')
+
+/**
+ * On a fork (see networksFrom), impersonates the deployer of the forked
+ * network, so the preflight checks the account and balance that will really
+ * deploy rather than one of hardhat's test accounts.
+ *
+ * @param {Object} hre The hardhat runtime environment.
+ * @return {Promise<Signer|undefined>} The deployer, or undefined when not on a fork.
+ */
+async function forkDeployer({ network, ethers }) {
+  const { deployer } = network.config
+  if (!deployer) return undefined
+
+  await network.provider.request({ method: 'hardhat_impersonateAccount', params: [deployer] })
+  return ethers.getSigner(deployer)
+}
+
+task('deploy', 'Deploys MetaDaoNft with the config for the network and records the deployment')
+  .addFlag('verify', 'Verify the contract on Etherscan once deployed')
+  .addFlag('confirm', 'Confirm the deployment on networks that require it, such as mainnet')
+  .addFlag('dryRun', 'Run the preflight checks and simulate the deployment without broadcasting it')
+  .addOptionalParam('deployConfig', 'The network whose deployment config to use. Defaults to --network')
+  .addOptionalParam('confirmations', 'The confirmations to wait for before verifying', 5, types.int)
+  .addOptionalParam('exportDir', 'The directory to export the frontend contract files to')
+  .addOptionalParam('exportFormat', 'The format of the exported frontend contract files')
+  .addOptionalParam('deployments', 'The directory to record the deployment in', DEPLOYMENTS_DIR)
+  .setAction(async (options, hre) => {
+    const { verify, confirm, dryRun, confirmations, exportDir, exportFormat, deployments } = options
+    const { ethers, network, artifacts, run } = hre
+
+    // This is just a convenience check
+    if (network.name === 'hardhat') {
+      console.warn(
+        'You are trying to deploy a contract to the Hardhat Network, which ' +
+          'gets automatically created and destroyed every time. Use the Hardhat' +
+          " option '--network localhost'"
+      )
+    }
+
+    // A dry run on a fork uses the config and last deployment of the forked network.
+    const configNetwork = options.deployConfig || network.name
+    const args = constructorArgs(loadDeployConfig(configNetwork))
+    const MetaDaoNft = await ethers.getContractFactory('MetaDaoNft', await forkDeployer(hre))
+
+    const previousPath = deploymentPath(configNetwork, 'MetaDaoNft', deployments)
+    const previous = fs.existsSync(previousPath) ? JSON.parse(fs.readFileSync(previousPath, 'utf8')) : undefined
+    const preflight = await runPreflight({ factory: MetaDaoNft, args, previous })
+    console.log(formatPreflight(preflight))
+
+    if (dryRun) {
+      // Runs the constructor without broadcasting, so a revert surfaces here.
+      await ethers.provider.call({ ...MetaDaoNft.getDeployTransaction(...args), from: preflight.deployer })
+      console.log('Dry run succeeded. Nothing was broadcast.')
+      return preflight
+    }
+
+    if (CONFIRMATION_CHAIN_IDS.includes(preflight.chainId) && !confirm) {
+      throw new Error(`Deploying to ${network.name} requires --confirm. Review the preflight above first.`)
+    }
+
+    console.log('Deploying the contracts with the account:', preflight.deployer)
+    const token = await MetaDaoNft.deploy(...args)
+    await token.deployed()
+
+    console.log('Token address:', token.address)
+
+    let record = await createDeploymentRecord({ contract: token, args, artifacts, network: network.name })
+    console.log('Deployment record saved to', saveDeployment(record, deployments))
+
+    if (verify) {
+      const verification = await verifyDeployment({ record, run, provider: ethers.provider, confirmations })
+      record = { ...record, verification }
+      updateDeployment(record, deployments)
+      console.log(`Etherscan verification: ${verification.status}`)
+    }
+
+    // We also export the contract's ABI and addresses to the frontend directory
+    await run('export', { out: exportDir, format: exportFormat, deployments })
+
+    return record
+  })
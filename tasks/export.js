@@ -0,0 +1,31 @@
+const fs = require('fs')
+const path = require('path')
+const { task } = require('hardhat/config')
+const { FORMATS, exportContract } = require('../utilities/frontendExport')
+const { DEPLOYMENTS_DIR, readDeployments } = require('../utilities/deployments')
+
+task('export', 'Exports the contract ABI and deployed addresses for the frontend')
+  .addOptionalParam(
+    'out',
+    'The directory to write the contract files to',
+    path.join(__dirname, '..', '..', 'frontend', 'src', 'contracts')
+  )
+  .addOptionalParam('format', `The output format: ${FORMATS.join(', ')}`, 'abi')
+  .addOptionalParam('utilities', 'A directory to also copy the whitelist merkle tree module to')
+  .addOptionalParam('deployments', 'The directory holding the deployment records', DEPLOYMENTS_DIR)
+  .setAction(async ({ out, format, utilities, deployments }, { artifacts }) => {
+    const artifact = await artifacts.readArtifact('MetaDaoNft')
+    const records = readDeployments('MetaDaoNft', deployments)
+    const files = exportContract({ artifact, records, format, out })
+
+    if (utilities) {
+      fs.mkdirSync(utilities, { recursive: true })
+      const file = path.join(utilities, 'merkleTrees.js')
+      fs.copyFileSync(path.join(__dirname, '..', 'utilities', 'merkleTrees.js'), file)
+      files.push(file)
+    }
+
+    files.forEach((file) => console.log('Exported', file))
+
+    return files
+  })
@@ -0,0 +1,95 @@
+const { task, types } = require('hardhat/config')
+const { constants } = require('ethers')
+const { getMetaDaoNft, assertSignerHasRole, assertConfirmed } = require('../utilities/contract')
+const { DEPLOYMENTS_DIR, createDeploymentRecord, saveDeployment } = require('../utilities/deployments')
+const { decodeTokenURI, validateMetadata } = require('../utilities/metadata')
+
+/**
+ * Connects to the contract, checking the signer can change its metadata and
+ * that the metadata isn't frozen.
+ */
+async function getUnfrozenMetaDaoNft(hre, address) {
+  const contract = await getMetaDaoNft(hre, address)
+  await assertSignerHasRole(contract, 'METADATA_MANAGER_ROLE')
+  if (await contract.isMetadataFrozen()) {
+    throw new Error(`The metadata of ${contract.address} is frozen.`)
+  }
+  return contract
+}
+
+/**
+ * Points the contract at a renderer, or back to its URIs for the zero
+ * address. Mainnet requires --confirm.
+ */
+async function setRenderer(renderer, { address, confirm, confirmations }, hre) {
+  const contract = await getUnfrozenMetaDaoNft(hre, address)
+  const onchain = renderer !== constants.AddressZero
+  await assertConfirmed(`Switching to ${onchain ? 'on-chain' : 'IPFS'} metadata`, confirm, hre)
+
+  console.log(`Switching ${contract.address} (${hre.network.name}) to ${onchain ? renderer : 'its base URI'}`)
+  const tx = await contract.setRenderer(renderer)
+  const receipt = await tx.wait(confirmations)
+  console.log(`Confirmed in block ${receipt.blockNumber} (tx ${receipt.transactionHash}, gas ${receipt.gasUsed})`)
+
+  return receipt
+}
+
+task('metadata:onchain', 'Switches the contract to metadata generated on-chain')
+  .addOptionalParam('address', 'The MetaDaoNft address. Defaults to the recorded deployment for the network')
+  .addOptionalParam('renderer', 'An already deployed renderer. By default a new MetaDaoNftRenderer is deployed')
+  .addOptionalParam('deployments', 'The directory to record a new renderer in', DEPLOYMENTS_DIR)
+  .addFlag('confirm', 'Confirm the change on networks that require it, such as mainnet')
+  .addOptionalParam('confirmations', 'The number of confirmations to wait for', 1, types.int)
+  .setAction(async (options, hre) => {
+    let { renderer } = options
+
+    if (!renderer) {
+      await getUnfrozenMetaDaoNft(hre, options.address)
+      await assertConfirmed('Deploying a renderer', options.confirm, hre)
+
+      const Renderer = await hre.ethers.getContractFactory('MetaDaoNftRenderer')
+      const contract = await Renderer.deploy()
+      await contract.deployed()
+      console.log('MetaDaoNftRenderer deployed to:', contract.address)
+
+      const record = await createDeploymentRecord({
+        contract,
+        args: [],
+        artifacts: hre.artifacts,
+        network: hre.network.name,
+        name: 'MetaDaoNftRenderer',
+      })
+      console.log('Deployment record saved to', saveDeployment(record, options.deployments))
+      renderer = contract.address
+    }
+
+    const receipt = await setRenderer(renderer, options, hre)
+    return { renderer, receipt }
+  })
+
+task('metadata:ipfs', 'Switches the contract back to its placeholder and base URIs')
+  .addOptionalParam('address', 'The MetaDaoNft address. Defaults to the recorded deployment for the network')
+  .addFlag('confirm', 'Confirm the change on networks that require it, such as mainnet')
+  .addOptionalParam('confirmations', 'The number of confirmations to wait for', 1, types.int)
+  .setAction((options, hre) => setRenderer(constants.AddressZero, options, hre))
+
+task('metadata:show', 'Prints the metadata of a token, decoding and validating it if it is generated on-chain')
+  .addPositionalParam('tokenId', 'The token to show', undefined, types.int)
+  .addOptionalParam('address', 'The MetaDaoNft address. Defaults to the recorded deployment for the network')
+  .setAction(async ({ tokenId, address }, hre) => {
+    const contract = await getMetaDaoNft(hre, address)
+    const uri = await contract.tokenURI(tokenId)
+
+    if (!uri.startsWith('data:')) {
+      console.log(uri)
+      return { uri }
+    }
+
+    const { metadata, svg } = decodeTokenURI(uri)
+    const problems = validateMetadata(metadata)
+    console.log(JSON.stringify({ ...metadata, image: '<svg>' }, null, 2))
+    console.log(svg)
+    problems.forEach((problem) => console.log(`Invalid metadata: ${problem}`))
+
+    return { uri, metadata, svg, problems }
+  })
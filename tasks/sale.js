@@ -0,0 +1,242 @@
+const fs = require('fs')
+const { task, types } = require('hardhat/config')
+const { utils, constants } = require('ethers')
+const { loadDeployConfig } = require('../utilities/deployConfig')
+const { getMetaDaoNft, assertSignerHasRole, assertConfirmed } = require('../utilities/contract')
+const { readSalePhases, formatSalePhase } = require('../utilities/salePhases')
+
+/**
+ * Lists everyone the deployment config promised an allocation to, labelled
+ * with their name or role.
+ *
+ * @param {Object} config A deployment config.
+ * @return {{name: string, address: string}[]}
+ */
+function allocationHolders({ founders, artist, staff }) {
+  return [
+    ...founders.map((address, i) => ({ name: `founder ${i + 1}`, address })),
+    { name: 'artist', address: artist },
+    ...Object.entries(staff).map(([name, address]) => ({ name, address })),
+  ]
+}
+
+/**
+ * Names the phase ids the contract knows about, plus any in the schedule.
+ *
+ * @param {Object[]} schedule Entries of a schedule file.
+ * @return {Object} Names keyed by phase id.
+ */
+function phaseNames(schedule = []) {
+  const names = { [utils.id('WHITELIST_PHASE')]: 'WHITELIST_PHASE', [utils.id('PUBLIC_PHASE')]: 'PUBLIC_PHASE' }
+  schedule.forEach(({ name }) => (names[utils.id(name)] = name))
+  return names
+}
+
+/**
+ * Converts a SalePhase returned by the contract to a plain object.
+ */
+function decodeSalePhase({ id, price, startTime, endTime, maxPerTx, maxPerWallet, merkleRoot }) {
+  return {
+    id,
+    price,
+    startTime: startTime.toNumber(),
+    endTime: endTime.toNumber(),
+    maxPerTx: maxPerTx.toNumber(),
+    maxPerWallet: maxPerWallet.toNumber(),
+    merkleRoot,
+  }
+}
+
+/**
+ * Opens or closes the public sale, after checking the signer's role and that
+ * the change is needed. Mainnet requires the --confirm flag.
+ */
+async function setPublicMinting(open, { address, confirm, confirmations }, hre) {
+  const contract = await getMetaDaoNft(hre, address)
+  await assertSignerHasRole(contract, 'SALE_MANAGER_ROLE')
+
+  if ((await contract.isPublicMintingAllowed()) === open) {
+    console.log(`The public sale is already ${open ? 'open' : 'closed'}.`)
+    return undefined
+  }
+
+  await assertConfirmed(`${open ? 'Opening' : 'Closing'} the sale`, confirm, hre)
+
+  console.log(`${open ? 'Opening' : 'Closing'} the public sale on ${contract.address} (${hre.network.name})`)
+  const tx = open ? await contract.allowPublicMinting() : await contract.disallowPublicMinting()
+  const receipt = await tx.wait(confirmations)
+  console.log(`Confirmed in block ${receipt.blockNumber} (tx ${receipt.transactionHash}, gas ${receipt.gasUsed})`)
+
+  return receipt
+}
+
+/**
+ * Pauses or unpauses minting, and transfers too if asked, after checking the
+ * signer's role and that the contract isn't in that state already. Pausing
+ * transfers when only minting is paused blocks them without unpausing.
+ * Mainnet requires the --confirm flag.
+ */
+async function setPaused(pause, { address, transfers, confirm, confirmations }, hre) {
+  const contract = await getMetaDaoNft(hre, address)
+  await assertSignerHasRole(contract, 'PAUSER_ROLE')
+
+  const paused = await contract.paused()
+  const onlyTransfers = pause && paused && transfers && !(await contract.areTransfersPaused())
+  if (paused === pause && !onlyTransfers) {
+    console.log(`The contract is already ${pause ? 'paused' : 'unpaused'}.`)
+    return undefined
+  }
+
+  let action = 'Unpausing'
+  let send = () => contract.unpause()
+  if (onlyTransfers) {
+    action = 'Pausing transfers'
+    send = () => contract.setTransfersPaused(true)
+  } else if (pause) {
+    action = `Pausing minting${transfers ? ' and transfers' : ''}`
+    send = () => contract.pause(transfers)
+  }
+  await assertConfirmed(action, confirm, hre)
+
+  console.log(`${action} on ${contract.address} (${hre.network.name})`)
+  const tx = await send()
+  const receipt = await tx.wait(confirmations)
+  console.log(`Confirmed in block ${receipt.blockNumber} (tx ${receipt.transactionHash}, gas ${receipt.gasUsed})`)
+
+  return receipt
+}
+
+task('sale:status', 'Shows the state of the sale on the deployed contract')
+  .addOptionalParam('address', 'The MetaDaoNft address. Defaults to the recorded deployment for the network')
+  .addOptionalParam('deployConfig', 'The network whose deployment config lists the allocations. Defaults to --network')
+  .setAction(async ({ address, deployConfig }, hre) => {
+    const contract = await getMetaDaoNft(hre, address)
+    const config = loadDeployConfig(deployConfig || hre.network.name)
+
+    const [
+      paused,
+      areTransfersPaused,
+      isPublicMintingAllowed,
+      totalSupply,
+      maxMints,
+      reservedMints,
+      marketingReserve,
+      availableMints,
+      balance,
+      root,
+    ] = await Promise.all([
+      contract.paused(),
+      contract.areTransfersPaused(),
+      contract.isPublicMintingAllowed(),
+      contract.totalSupply(),
+      contract.MAX_MINTS(),
+      contract.reservedMints(),
+      contract.marketingReserve(),
+      contract.availableMints(),
+      contract.payouts().then((payouts) => hre.ethers.provider.getBalance(payouts)),
+      contract.whitelistMerkleRoot(),
+    ])
+    const allocations = await Promise.all(
+      allocationHolders(config).map(async (holder) => ({
+        ...holder,
+        remaining: (await contract.staffAllocations(holder.address)).toNumber(),
+      }))
+    )
+
+    const status = {
+      address: contract.address,
+      paused,
+      areTransfersPaused,
+      isPublicMintingAllowed,
+      totalSupply: totalSupply.toNumber(),
+      maxMints: maxMints.toNumber(),
+      reservedMints: reservedMints.toNumber(),
+      marketingReserve: marketingReserve.toNumber(),
+      availableMints: availableMints.toNumber(),
+      balance,
+      whitelistRoot: root === constants.HashZero ? undefined : root,
+      allocations,
+    }
+
+    console.log(`Contract:       ${status.address} (${hre.network.name})`)
+    if (paused) {
+      console.log(`Paused:         minting${areTransfersPaused ? ' and transfers' : ''}`)
+    }
+    console.log(`Public sale:    ${isPublicMintingAllowed ? 'open' : 'closed'}`)
+    console.log(`Minted:         ${status.totalSupply} / ${status.maxMints}`)
+    console.log(
+      `Available:      ${status.availableMints} (${status.reservedMints} reserved for allocations, ${status.marketingReserve} for airdrops)`
+    )
+    console.log(`Balance:        ${utils.formatEther(balance)} ETH`)
+    console.log(`Whitelist root: ${status.whitelistRoot || 'not set'}`)
+    console.log('Unclaimed staff allocations:')
+    allocations.forEach(({ name, address, remaining }) => console.log(`  ${name} (${address}): ${remaining}`))
+
+    return status
+  })
+
+task('sale:open', 'Opens the public sale')
+  .addOptionalParam('address', 'The MetaDaoNft address. Defaults to the recorded deployment for the network')
+  .addFlag('confirm', 'Confirm the change on networks that require it, such as mainnet')
+  .addOptionalParam('confirmations', 'The number of confirmations to wait for', 1, types.int)
+  .setAction((options, hre) => setPublicMinting(true, options, hre))
+
+task('sale:close', 'Closes the public sale, leaving only whitelisted addresses able to mint')
+  .addOptionalParam('address', 'The MetaDaoNft address. Defaults to the recorded deployment for the network')
+  .addFlag('confirm', 'Confirm the change on networks that require it, such as mainnet')
+  .addOptionalParam('confirmations', 'The number of confirmations to wait for', 1, types.int)
+  .setAction((options, hre) => setPublicMinting(false, options, hre))
+
+task('sale:pause', 'Pauses every way of minting in an emergency, and token transfers with --transfers')
+  .addOptionalParam('address', 'The MetaDaoNft address. Defaults to the recorded deployment for the network')
+  .addFlag('transfers', 'Pause token transfers as well')
+  .addFlag('confirm', 'Confirm the change on networks that require it, such as mainnet')
+  .addOptionalParam('confirmations', 'The number of confirmations to wait for', 1, types.int)
+  .setAction((options, hre) => setPaused(true, options, hre))
+
+task('sale:unpause', 'Allows minting, and token transfers, again after a pause')
+  .addOptionalParam('address', 'The MetaDaoNft address. Defaults to the recorded deployment for the network')
+  .addFlag('confirm', 'Confirm the change on networks that require it, such as mainnet')
+  .addOptionalParam('confirmations', 'The number of confirmations to wait for', 1, types.int)
+  .setAction((options, hre) => setPaused(false, options, hre))
+
+task('sale:schedule', 'Replaces the sale schedule with the phases in a JSON file')
+  .addPositionalParam('schedule', 'A JSON array of phases. See the README for the format')
+  .addOptionalParam('address', 'The MetaDaoNft address. Defaults to the recorded deployment for the network')
+  .addFlag('confirm', 'Confirm the change on networks that require it, such as mainnet')
+  .addOptionalParam('confirmations', 'The number of confirmations to wait for', 1, types.int)
+  .setAction(async ({ schedule, address, confirm, confirmations }, hre) => {
+    const phases = readSalePhases(schedule)
+    const contract = await getMetaDaoNft(hre, address)
+    await assertSignerHasRole(contract, 'SALE_MANAGER_ROLE')
+    await assertConfirmed('Changing the sale schedule', confirm, hre)
+
+    const names = phaseNames(JSON.parse(fs.readFileSync(schedule)))
+    console.log(`Scheduling ${phases.length} phases on ${contract.address} (${hre.network.name})`)
+    phases.forEach((phase) => console.log(formatSalePhase(phase, names)))
+
+    const tx = await contract.setSalePhases(phases)
+    const receipt = await tx.wait(confirmations)
+    console.log(`Confirmed in block ${receipt.blockNumber} (tx ${receipt.transactionHash}, gas ${receipt.gasUsed})`)
+
+    return receipt
+  })
+
+task('sale:phases', 'Shows the sale schedule and the phase that applies right now')
+  .addOptionalParam('address', 'The MetaDaoNft address. Defaults to the recorded deployment for the network')
+  .addOptionalParam('schedule', 'A schedule file to name the phases from')
+  .setAction(async ({ address, schedule }, hre) => {
+    const contract = await getMetaDaoNft(hre, address)
+    const names = phaseNames(schedule && JSON.parse(fs.readFileSync(schedule)))
+
+    const phases = (await contract.salePhases()).map(decodeSalePhase)
+    const current = decodeSalePhase(await contract.currentSalePhase())
+
+    console.log(`Schedule for ${contract.address} (${hre.network.name}):`)
+    if (phases.length === 0) console.log('  no phases scheduled')
+    phases.forEach((phase) => console.log(formatSalePhase(phase, names)))
+    console.log('Current phase:')
+    console.log(formatSalePhase(current, names))
+
+    return { phases, current }
+  })
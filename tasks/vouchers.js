@@ -0,0 +1,56 @@
+const fs = require('fs')
+const path = require('path')
+const { task, types } = require('hardhat/config')
+const { utils } = require('ethers')
+const { readAddressEntries, normalizeEntries } = require('../utilities/whitelist')
+const { getMetaDaoNft, assertSignerHasRole } = require('../utilities/contract')
+const { toTimestamp } = require('../utilities/salePhases')
+const { voucherDomain, issueVouchers } = require('../utilities/vouchers')
+
+task('vouchers:issue', 'Signs a mint voucher for every address of a list')
+  .addPositionalParam('input', 'A CSV or JSON file of addresses, optionally with the number of tokens each may mint')
+  .addOptionalParam('address', 'The MetaDaoNft address. Defaults to the recorded deployment for the network')
+  .addOptionalParam('phase', 'The name of the phase the vouchers are for', 'WHITELIST_PHASE')
+  .addParam('expiry', 'When the vouchers expire, in unix seconds or as an ISO date')
+  .addOptionalParam('quantity', 'The number of tokens addresses without one may mint', 2, types.int)
+  .addOptionalParam(
+    'nonce',
+    'Tells this batch apart from earlier ones. Defaults to the current time',
+    undefined,
+    types.int
+  )
+  .addOptionalParam('out', 'The directory to write vouchers.json to', 'vouchers')
+  .setAction(async ({ input, address, phase, expiry, quantity, nonce, out }, hre) => {
+    const { entries, duplicates } = normalizeEntries(readAddressEntries(input), quantity)
+    if (duplicates > 0) {
+      console.log(`Skipped ${duplicates} duplicate address(es).`)
+    }
+
+    const expiryTime = toTimestamp(expiry)
+    if (Number.isNaN(expiryTime)) throw new Error(`Invalid expiry: ${expiry}`)
+    if (expiryTime <= Date.now() / 1000) throw new Error(`The expiry ${expiry} has already passed.`)
+
+    const contract = await getMetaDaoNft(hre, address)
+    await assertSignerHasRole(contract, 'VOUCHER_SIGNER_ROLE')
+
+    const { chainId } = await hre.ethers.provider.getNetwork()
+    const terms = {
+      phase: utils.id(phase),
+      expiry: expiryTime,
+      nonce: nonce === undefined ? Math.floor(Date.now() / 1000) : nonce,
+    }
+    const domain = voucherDomain(await contract.vouchers(), chainId)
+    const vouchers = await issueVouchers(contract.signer, domain, entries, terms)
+
+    fs.mkdirSync(out, { recursive: true })
+    fs.writeFileSync(path.join(out, 'vouchers.json'), JSON.stringify(vouchers, undefined, 2))
+
+    console.log(
+      `Signed ${entries.length} voucher(s) for ${phase} with nonce ${terms.nonce}, expiring ${new Date(
+        expiryTime * 1000
+      ).toISOString()}`
+    )
+    console.log(`Wrote vouchers.json to ${out}`)
+
+    return vouchers
+  })
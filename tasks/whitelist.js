@@ -0,0 +1,66 @@
+const fs = require('fs')
+const path = require('path')
+const { task, types } = require('hardhat/config')
+const {
+  readAddressEntries,
+  normalizeEntries,
+  buildWhitelist,
+  readWhitelistBundle,
+  sampleAddresses,
+} = require('../utilities/whitelist')
+const { getMetaDaoNft, assertSignerHasRole } = require('../utilities/contract')
+
+task('whitelist:build', 'Generates the whitelist merkle root and a proof for every address')
+  .addPositionalParam('input', 'A CSV or JSON file of whitelisted addresses, optionally with their allowances')
+  .addOptionalParam('out', 'The directory to write root.json and proofs.json to', 'whitelist')
+  .addOptionalParam('allowance', 'The number of tokens addresses without an allowance may mint', 2, types.int)
+  .setAction(async ({ input, out, allowance }) => {
+    const { entries, duplicates } = normalizeEntries(readAddressEntries(input), allowance)
+    if (duplicates > 0) {
+      console.log(`Skipped ${duplicates} duplicate address(es).`)
+    }
+
+    const { root, proofs } = buildWhitelist(entries)
+
+    fs.mkdirSync(out, { recursive: true })
+    fs.writeFileSync(path.join(out, 'root.json'), JSON.stringify({ root, count: entries.length }, undefined, 2))
+    fs.writeFileSync(path.join(out, 'proofs.json'), JSON.stringify(proofs, undefined, 2))
+
+    console.log(`Whitelisted ${entries.length} addresses with root ${root}`)
+    console.log(`Wrote root.json and proofs.json to ${out}`)
+
+    return { root, proofs }
+  })
+
+task('whitelist:publish', 'Sets the whitelist root on a deployed contract and spot-checks it on-chain')
+  .addOptionalParam('address', 'The MetaDaoNft address. Defaults to the recorded deployment for the network')
+  .addOptionalParam('bundle', 'The directory written by whitelist:build', 'whitelist')
+  .addOptionalParam('sample', 'The number of addresses to verify on-chain', 10, types.int)
+  .addOptionalParam('confirmations', 'The number of confirmations to wait for', 1, types.int)
+  .setAction(async ({ address, bundle, sample, confirmations }, hre) => {
+    const { root, proofs } = readWhitelistBundle(bundle)
+    const contract = await getMetaDaoNft(hre, address)
+    await assertSignerHasRole(contract, 'WHITELIST_MANAGER_ROLE')
+
+    console.log(`Publishing whitelist root ${root} to ${contract.address} on ${hre.network.name}`)
+    const tx = await contract.updateWhitelist(root)
+    const receipt = await tx.wait(confirmations)
+    console.log(`Confirmed in block ${receipt.blockNumber} (tx ${receipt.transactionHash})`)
+
+    const checked = sampleAddresses(Object.keys(proofs), sample)
+    const mismatches = []
+    for (const account of checked) {
+      const { allowance, proof } = proofs[account]
+      if (!(await contract.verifyWhitelist(account, allowance, proof))) {
+        mismatches.push(account)
+      }
+    }
+
+    if (mismatches.length > 0) {
+      throw new Error(`Whitelist verification failed on-chain for:\n${mismatches.map((a) => `  ${a}`).join('\n')}`)
+    }
+
+    console.log(`Verified ${checked.length} sampled address(es) on-chain.`)
+
+    return receipt
+  })
@@ -1,6 +1,12 @@
 const { expect } = require('chai')
 const keccak256 = require('keccak256')
-const { getWhitelistParams, createWhitelistTree, rootFrom } = require('../../frontend/src/utilities/merkleTrees')
+const {
+  getWhitelistParams,
+  getWhitelistMultiProof,
+  createWhitelistTree,
+  rootFrom,
+} = require('../utilities/merkleTrees')
+const { VOUCHER_TYPES, voucherDomain, signVoucher } = require('../utilities/vouchers')
 
 describe('Token contract', function () {
   let Token
@@ -13,56 +19,39 @@ describe('Token contract', function () {
   let price
   let error
   let proof
-  let baseURI
+  let allowance
+  let placeholderURI
 
   async function massMint(amount) {
-    let batchSize = 200
-    let numMinted = 0
-    let numBatches
-
-    // Load up the owner with more ETH
-    const signers = await ethers.getSigners()
-    await signers[signers.length - 1].sendTransaction({ to: owner.address, value: ethers.utils.parseEther('100') })
-    await signers[signers.length - 2].sendTransaction({ to: owner.address, value: ethers.utils.parseEther('100') })
-    await signers[signers.length - 3].sendTransaction({ to: owner.address, value: ethers.utils.parseEther('100') })
-    await signers[signers.length - 4].sendTransaction({ to: owner.address, value: ethers.utils.parseEther('100') })
-
-    while (batchSize > 0) {
-      numBatches = Math.floor((amount - numMinted) / batchSize)
-
-      for (let i = 0; i < numBatches; i++) {
-        try {
-          await contract.connect(owner).mint(owner.address, batchSize, [], [], { value: 0 })
-        } catch (error) {
-          console.error('error', error)
-        }
-        numMinted += batchSize
-      }
+    await contract.connect(owner).grantRole(await contract.FREE_MINTER_ROLE(), owner.address)
+    await contract.connect(owner).setMarketingReserve(amount)
+    await contract.connect(owner).airdrop([owner.address], [amount])
+  }
 
-      batchSize = Math.floor(batchSize / 2)
-      numBatches = Math.floor((amount - numMinted) / batchSize)
-    }
+  function whitelistTree(addresses, allowance = 2) {
+    return createWhitelistTree(addresses.map((address) => ({ address, allowance })))
   }
 
-  async function isAddressWhitelisted(address, whitelistTree) {
-    const { proof, positions } = getWhitelistParams(address, whitelistTree)
-    return contract.verifyWhitelist(address, proof, positions)
+  async function isAddressWhitelisted(address, tree) {
+    const { allowance, proof } = getWhitelistParams(address, tree)
+    return contract.verifyWhitelist(address, allowance, proof)
   }
 
   beforeEach(async function () {
     Token = await ethers.getContractFactory('MetaDaoNft')
     ;[owner, addr1, addr2, addr3, artist, founder1, staff1, staff2, staff3] = await ethers.getSigners()
-    baseURI = 'ipfs://example/'
+    placeholderURI = 'ipfs://example/placeholder.json'
 
     contract = await Token.deploy(
       [owner.address, founder1.address],
       artist.address,
       [staff1.address, staff2.address, staff3.address],
-      baseURI
+      placeholderURI
     )
     price = await contract.PRICE()
     maxMints = await contract.MAX_MINTS()
     await contract.deployed()
+    await contract.setProvenanceHash(ethers.utils.id('provenance'))
   })
 
   afterEach(() => {
@@ -106,6 +95,16 @@ describe('Token contract', function () {
       })
     })
 
+    describe('maxMintsPerWallet', function () {
+      it('should allow 2 mints per wallet during whitelist', async function () {
+        expect(await contract.maxMintsPerWallet(contract.WHITELIST_PHASE())).to.equal(2)
+      })
+
+      it('should allow 10 mints per wallet during public sale', async function () {
+        expect(await contract.maxMintsPerWallet(contract.PUBLIC_PHASE())).to.equal(10)
+      })
+    })
+
     describe('owner', function () {
       it('should return the correct owner', async function () {
         expect(await contract.owner()).to.equal(owner.address)
@@ -134,7 +133,7 @@ describe('Token contract', function () {
     let whitelistedAddresses, tree
     beforeEach(async function () {
       whitelistedAddresses = Array.from({ length: 100 }, () => ethers.Wallet.createRandom().address)
-      tree = createWhitelistTree(whitelistedAddresses)
+      tree = whitelistTree(whitelistedAddresses)
       await contract.connect(owner).updateWhitelist(rootFrom(tree))
     })
 
@@ -148,23 +147,47 @@ describe('Token contract', function () {
       const isWhitelisted = await isAddressWhitelisted(unwhitelistedAddress, tree)
       expect(isWhitelisted).to.equal(false)
     })
+
+    it('verifies many addresses with a single multi-proof', async function () {
+      const sample = whitelistedAddresses.filter((_, i) => i % 7 === 0)
+      const { accounts, allowances, proof, proofFlags } = getWhitelistMultiProof(sample, tree)
+      expect(proof.length).to.be.below(sample.length * getWhitelistParams(sample[0], tree).proof.length)
+      expect(await contract.verifyWhitelistMultiProof(accounts, allowances, proof, proofFlags)).to.equal(true)
+    })
+
+    it('rejects a multi-proof with a wrong allowance', async function () {
+      const { accounts, allowances, proof, proofFlags } = getWhitelistMultiProof(whitelistedAddresses.slice(0, 3), tree)
+      allowances[1] = 3
+      expect(await contract.verifyWhitelistMultiProof(accounts, allowances, proof, proofFlags)).to.equal(false)
+    })
+
+    it('requires an allowance for each account in a multi-proof', async function () {
+      const { accounts, allowances, proof, proofFlags } = getWhitelistMultiProof(whitelistedAddresses.slice(0, 3), tree)
+      try {
+        await contract.verifyWhitelistMultiProof(accounts, allowances.slice(1), proof, proofFlags)
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Must provide an allowance for each account.')
+    })
   })
 
   describe('Updating whitelist', function () {
     let whitelistedAddresses, tree
     beforeEach(async function () {
       whitelistedAddresses = Array.from({ length: 100 }, () => ethers.Wallet.createRandom().address)
-      tree = createWhitelistTree(whitelistedAddresses)
+      tree = whitelistTree(whitelistedAddresses)
     })
 
-    it('fails if the minter does not have admin role', async function () {
+    it('fails if the caller does not have the whitelist manager role', async function () {
       try {
         await contract.connect(addr1).updateWhitelist(rootFrom(tree))
         throw new Error('was not supposed to succeed')
       } catch (err) {
         error = err
       }
-      expect(error.message).to.contain('Must be an admin')
+      expect(error.message).to.contain(`is missing role ${await contract.WHITELIST_MANAGER_ROLE()}`)
     })
 
     it('should change the value from false to true of all whitelisted addresses', async function () {
@@ -182,6 +205,12 @@ describe('Token contract', function () {
       const unwhitelistedAddress = ethers.Wallet.createRandom().address
       expect(await isAddressWhitelisted(unwhitelistedAddress, tree)).to.equal(false)
     })
+
+    it('should expose the new root', async function () {
+      expect(await contract.whitelistMerkleRoot()).to.equal(ethers.constants.HashZero)
+      await contract.connect(owner).updateWhitelist(rootFrom(tree))
+      expect(await contract.whitelistMerkleRoot()).to.equal(rootFrom(tree))
+    })
   })
 
   describe('Deploying', function () {
@@ -189,7 +218,7 @@ describe('Token contract', function () {
 
     beforeEach(async function () {
       founders = Array.from({ length: 3 }, () => ethers.Wallet.createRandom().address)
-      contract = await Token.deploy(founders, artist.address, [], baseURI)
+      contract = await Token.deploy(founders, artist.address, [], placeholderURI)
       await contract.deployed()
     })
 
@@ -210,6 +239,24 @@ describe('Token contract', function () {
       expect(await contract.getRoleMember(defaultAdminRole, 0)).to.equal(owner.address)
     })
 
+    it('grants the sender every manager role and the pauser role', async function () {
+      const roles = [
+        'SALE_MANAGER_ROLE',
+        'WHITELIST_MANAGER_ROLE',
+        'METADATA_MANAGER_ROLE',
+        'TREASURY_ROLE',
+        'PAUSER_ROLE',
+      ]
+      for (const role of roles) {
+        expect(await contract.getRoleMember(await contract[role](), 0)).to.equal(owner.address)
+      }
+    })
+
+    it('does not reserve anything for airdrops', async function () {
+      expect(await contract.getRoleMemberCount(await contract.FREE_MINTER_ROLE())).to.equal(0)
+      expect(await contract.marketingReserve()).to.equal(0)
+    })
+
     it('sets the sender as owner', async function () {
       expect(await contract.owner()).to.equal(owner.address)
     })
@@ -219,8 +266,101 @@ describe('Token contract', function () {
     })
   })
 
-  describe('Withdrawing', function () {
+  describe('Roles', function () {
+    const roles = [
+      'DEFAULT_ADMIN_ROLE',
+      'SALE_MANAGER_ROLE',
+      'WHITELIST_MANAGER_ROLE',
+      'METADATA_MANAGER_ROLE',
+      'TREASURY_ROLE',
+      'PAUSER_ROLE',
+    ]
+    const calls = {
+      setStaffAllocation: ['DEFAULT_ADMIN_ROLE', (token) => token.setStaffAllocation(addr2.address, 5)],
+      setMarketingReserve: ['DEFAULT_ADMIN_ROLE', (token) => token.setMarketingReserve(10)],
+      airdrop: ['FREE_MINTER_ROLE', (token) => token.airdrop([addr2.address], [1])],
+      allowPublicMinting: ['SALE_MANAGER_ROLE', (token) => token.allowPublicMinting()],
+      disallowPublicMinting: ['SALE_MANAGER_ROLE', (token) => token.disallowPublicMinting()],
+      setSalePhases: ['SALE_MANAGER_ROLE', (token) => token.setSalePhases([])],
+      setMaxMintsPerWallet: [
+        'SALE_MANAGER_ROLE',
+        async (token) => token.setMaxMintsPerWallet(await token.PUBLIC_PHASE(), 3),
+      ],
+      updateWhitelist: ['WHITELIST_MANAGER_ROLE', (token) => token.updateWhitelist(ethers.utils.id('root'))],
+      setProvenanceHash: ['METADATA_MANAGER_ROLE', (token) => token.setProvenanceHash(ethers.utils.id('provenance'))],
+      setPlaceholderURI: ['METADATA_MANAGER_ROLE', (token) => token.setPlaceholderURI('ipfs://example/other.json')],
+      reveal: ['METADATA_MANAGER_ROLE', (token) => token.reveal('ipfs://example/revealed/')],
+      setBaseURI: ['METADATA_MANAGER_ROLE', (token) => token.setBaseURI('ipfs://example/fixed/')],
+      setRenderer: ['METADATA_MANAGER_ROLE', (token) => token.setRenderer(ethers.constants.AddressZero)],
+      freezeMetadata: ['METADATA_MANAGER_ROLE', (token) => token.freezeMetadata()],
+      setPayees: ['TREASURY_ROLE', (token) => token.setPayees([addr2.address], [10000], [])],
+      setDefaultRoyalty: ['TREASURY_ROLE', (token) => token.setDefaultRoyalty(addr2.address, 1000)],
+      deleteDefaultRoyalty: ['TREASURY_ROLE', (token) => token.deleteDefaultRoyalty()],
+      setTokenRoyalty: ['TREASURY_ROLE', (token) => token.setTokenRoyalty(0, addr2.address, 1000)],
+      resetTokenRoyalty: ['TREASURY_ROLE', (token) => token.resetTokenRoyalty(0)],
+      pause: ['PAUSER_ROLE', (token) => token.pause(true)],
+      unpause: ['PAUSER_ROLE', (token) => token.unpause()],
+      setTransfersPaused: ['PAUSER_ROLE', (token) => token.setTransfersPaused(true)],
+    }
+
+    beforeEach(async function () {
+      await contract.connect(owner).setProvenanceHash(ethers.utils.id('provenance'))
+      await contract.connect(owner).setMarketingReserve(1)
+    })
+
+    Object.entries(calls).forEach(([name, [role, call]]) => {
+      it(`${name} requires ${role}`, async function () {
+        for (const otherRole of roles.filter((r) => r !== role)) {
+          await contract.connect(owner).grantRole(await contract[otherRole](), addr1.address)
+        }
+        try {
+          await call(contract.connect(addr1))
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain(`is missing role ${await contract[role]()}`)
+
+        await contract.connect(owner).grantRole(await contract[role](), addr1.address)
+        if (name === 'setBaseURI' || name === 'freezeMetadata') {
+          await contract.connect(addr1).reveal('ipfs://example/revealed/')
+        }
+        if (name === 'unpause' || name === 'setTransfersPaused') {
+          await contract.connect(addr1).pause(false)
+        }
+        await call(contract.connect(addr1))
+      })
+    })
+
+    it('lets the default admin hand out and revoke manager roles', async function () {
+      const saleManagerRole = await contract.SALE_MANAGER_ROLE()
+      await contract.connect(owner).grantRole(saleManagerRole, addr1.address)
+      await contract.connect(addr1).allowPublicMinting()
+      expect(await contract.getRoleMember(saleManagerRole, 1)).to.equal(addr1.address)
+
+      await contract.connect(owner).revokeRole(saleManagerRole, addr1.address)
+      expect(await contract.hasRole(saleManagerRole, addr1.address)).to.equal(false)
+    })
+
+    it('does not let managers mint for free', async function () {
+      for (const role of roles) {
+        await contract.connect(owner).grantRole(await contract[role](), addr1.address)
+      }
+      await contract.connect(owner).allowPublicMinting()
+      try {
+        await contract.connect(addr1).mint(addr1.address, 1, 0, [], { value: 0 })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Value below price')
+    })
+  })
+
+  describe('Payouts', function () {
     let expectedBalance
+    let token
+    let payouts
 
     beforeEach(async function () {
       // Mint a few to generate some ETH - easier to do when contract is in public mint state
@@ -230,99 +370,277 @@ describe('Token contract', function () {
       expectedBalance = price.mul(numMints)
 
       for (i = 0; i < numMints; i++) {
-        await contract.connect(signers[i]).mint(signers[i].address, 1, [], [], { value: price })
+        await contract.connect(signers[i]).mint(signers[i].address, 1, 0, [], { value: price })
       }
+
+      payouts = await ethers.getContractAt('MetaDaoNftPayouts', await contract.payouts())
+      const TestToken = await ethers.getContractFactory('TestToken')
+      token = await TestToken.deploy()
+      await token.deployed()
     })
 
-    describe('with no balance in the contract', function () {
-      beforeEach(async function () {
-        // Withdraw all funds
-        await contract.connect(addr3).withdrawAll()
+    it('splits 90% between the founders and 10% to the artist by default', async function () {
+      const [payees, shares] = await payouts.payees()
+      expect(payees).to.deep.equal([owner.address, founder1.address, artist.address])
+      expect(shares.map((share) => share.toNumber())).to.deep.equal([4500, 4500, 1000])
+      expect(await payouts.releasable(founder1.address)).to.equal(expectedBalance.mul(45).div(100))
+      expect(await payouts.releasable(artist.address)).to.equal(expectedBalance.mul(10).div(100))
+    })
+
+    describe('releasing ETH', function () {
+      it('sends the payee their share, whoever calls it', async function () {
+        const amount = expectedBalance.mul(10).div(100)
+        const before = await artist.getBalance()
+
+        await expect(payouts.connect(addr3).release(artist.address))
+          .to.emit(payouts, 'PaymentReleased')
+          .withArgs(ethers.constants.AddressZero, artist.address, amount)
+
+        expect((await artist.getBalance()).sub(before)).to.equal(amount)
+        expect(await payouts.releasable(artist.address)).to.equal(0)
       })
 
-      it('generates an error', async function () {
+      it('does not change what the other payees are owed', async function () {
+        await payouts.connect(addr3).release(artist.address)
+        expect(await payouts.releasable(founder1.address)).to.equal(expectedBalance.mul(45).div(100))
+      })
+
+      it('adds funds received later to what the payee is owed', async function () {
+        await payouts.connect(addr3).release(artist.address)
+        await contract.connect(addr1).mint(addr1.address, 1, 0, [], { value: price })
+        expect(await payouts.releasable(artist.address)).to.equal(price.div(10))
+      })
+
+      it('generates an error when the payee is owed nothing', async function () {
+        await payouts.connect(addr3).release(artist.address)
         try {
-          await contract.connect(addr3).withdrawAll()
+          await payouts.connect(addr3).release(artist.address)
           throw new Error('was not supposed to succeed')
         } catch (err) {
           error = err
         }
-        expect(error.message).to.contain('Nothing to withdraw.')
+        expect(error.message).to.contain('Nothing to release.')
       })
-    })
 
-    describe('with no FOUNDER_ROLE holders on contract', function () {
-      beforeEach(async function () {
-        await contract.revokeRole(contract.FOUNDER_ROLE(), founder1.address)
-        await contract.revokeRole(contract.FOUNDER_ROLE(), owner.address)
-      })
+      it('does not let a payee that rejects ETH block the others', async function () {
+        await contract.setPayees([token.address, artist.address], [5000, 5000], [])
+        await contract.connect(addr1).mint(addr1.address, 2, 0, [], { value: price.mul(2) })
+
+        try {
+          await payouts.connect(addr3).release(token.address)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Transfer failed.')
 
-      it('sends 100% to the artist', async function () {
         const before = await artist.getBalance()
-        // Withdraw all funds using a non-authorized wallet
-        await contract.connect(addr3).withdrawAll()
-        const after = await artist.getBalance()
-        expect(after.sub(before)).to.equal(expectedBalance)
+        await payouts.connect(addr3).release(artist.address)
+        expect((await artist.getBalance()).sub(before)).to.equal(expectedBalance.div(10).add(price))
       })
     })
 
-    describe('with only one person as a FOUNDER_ROLE', function () {
+    describe('releasing ERC20 tokens', function () {
       beforeEach(async function () {
-        await contract.revokeRole(contract.FOUNDER_ROLE(), founder1.address)
+        await token.mint(payouts.address, 1000)
+      })
+
+      it('sends the payee their share of the token', async function () {
+        expect(await payouts.releasableERC20(token.address, founder1.address)).to.equal(450)
+
+        await expect(payouts.connect(addr3).releaseERC20(token.address, founder1.address))
+          .to.emit(payouts, 'PaymentReleased')
+          .withArgs(token.address, founder1.address, 450)
+
+        expect(await token.balanceOf(founder1.address)).to.equal(450)
+        expect(await payouts.releasableERC20(token.address, artist.address)).to.equal(100)
       })
 
-      it('sends the remainings 90% to the FOUNDER (accounting for gas)', async function () {
-        expectedBalance = expectedBalance.mul(90).div(100)
-        const before = await owner.getBalance()
-        const tx = await contract.withdrawAll()
-        const receipt = await tx.wait()
+      it('splits the token with the old shares when accrued before changing payees', async function () {
+        await contract.setPayees([addr1.address], [10000], [token.address])
+        await token.mint(payouts.address, 1000)
 
-        const after = await owner.getBalance()
-        const gasPaid = receipt.cumulativeGasUsed.mul(receipt.effectiveGasPrice)
-        expect(after.sub(before)).to.equal(expectedBalance.sub(gasPaid))
+        expect(await payouts.releasableERC20(token.address, artist.address)).to.equal(100)
+        expect(await payouts.releasableERC20(token.address, addr1.address)).to.equal(1000)
       })
 
-      it('sends 10% to the ARTIST', async function () {
-        expectedBalance = expectedBalance.mul(10).div(100)
-        const before = await artist.getBalance()
+      it('splits a listed token with the old shares even when not passed to setPayees again', async function () {
+        await expect(
+          contract.setPayees([owner.address, founder1.address, artist.address], [4500, 4500, 1000], [token.address])
+        )
+          .to.emit(payouts, 'TokenListed')
+          .withArgs(token.address)
+        await token.mint(payouts.address, 1000)
+        expect(await payouts.listedTokens()).to.deep.equal([token.address])
+
+        await contract.setPayees([addr1.address], [10000], [])
+        expect(await payouts.releasableERC20(token.address, artist.address)).to.equal(200)
+        expect(await payouts.releasableERC20(token.address, addr1.address)).to.equal(0)
 
-        // Withdraw all funds using a non-authorized wallet
-        await contract.connect(addr3).withdrawAll()
+        await token.mint(payouts.address, 1000)
+        expect(await payouts.releasableERC20(token.address, addr1.address)).to.equal(1000)
+      })
 
-        const after = await artist.getBalance()
-        expect(after.sub(before)).to.equal(expectedBalance)
+      it('does not list a token when it is released', async function () {
+        await payouts.connect(addr3).releaseERC20(token.address, founder1.address)
+        expect(await payouts.listedTokens()).to.deep.equal([])
       })
     })
 
-    describe('with two people on FOUNDER_ROLE', function () {
+    describe('hostile tokens', function () {
+      let hostile
+
       beforeEach(async function () {
-        // Make non-owner a founder so we don't need to calculate gas.
-        await contract.revokeRole(contract.FOUNDER_ROLE(), owner.address)
-        await contract.grantRole(contract.FOUNDER_ROLE(), addr1.address)
+        const HostileToken = await ethers.getContractFactory('HostileToken')
+        hostile = await HostileToken.deploy()
+        await hostile.deployed()
+        await hostile.mint(payouts.address, 1000)
       })
 
-      it('sends 10% to the ARTIST', async function () {
-        expectedBalance = expectedBalance.mul(10).div(100)
-        const before = await artist.getBalance()
-        await contract.withdrawAll()
+      it('can not block changing payees by being released', async function () {
+        await payouts.connect(addr3).releaseERC20(hostile.address, founder1.address)
+        await hostile.setHostile(true)
+
+        await contract.setPayees([addr1.address], [10000], [])
+        expect(await payouts.payeeShares(addr1.address)).to.equal(10000)
+      })
+
+      it('can be delisted by the treasury once it blocks changing payees', async function () {
+        await contract.setPayees(
+          [owner.address, founder1.address, artist.address],
+          [4500, 4500, 1000],
+          [hostile.address]
+        )
+        await hostile.setHostile(true)
+        try {
+          await contract.setPayees([addr1.address], [10000], [])
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Hostile token.')
+
+        await expect(contract.delistPayoutToken(hostile.address))
+          .to.emit(payouts, 'TokenDelisted')
+          .withArgs(hostile.address)
+        expect(await payouts.listedTokens()).to.deep.equal([])
+        await contract.setPayees([addr1.address], [10000], [])
+        expect(await payouts.payeeShares(addr1.address)).to.equal(10000)
+      })
+
+      it('only lets the treasury delist tokens', async function () {
+        await contract.setPayees(
+          [owner.address, founder1.address, artist.address],
+          [4500, 4500, 1000],
+          [hostile.address]
+        )
+        try {
+          await contract.connect(addr1).delistPayoutToken(hostile.address)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain(`is missing role ${await contract.TREASURY_ROLE()}`)
+
+        try {
+          await payouts.delistToken(hostile.address)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Must be the NFT contract.')
+      })
+
+      it('generates an error when delisting a token that is not listed', async function () {
+        try {
+          await contract.delistPayoutToken(hostile.address)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Token is not listed.')
+      })
+
+      it('still pays out and changes payees when its balance drops below what is owed', async function () {
+        await contract.setPayees(
+          [owner.address, founder1.address, artist.address],
+          [4500, 4500, 1000],
+          [hostile.address]
+        )
+        await payouts.connect(addr3).releaseERC20(hostile.address, founder1.address)
+        await hostile.burn(payouts.address, 100)
+
+        expect(await payouts.releasableERC20(hostile.address, artist.address)).to.equal(100)
+        await contract.setPayees([addr1.address], [10000], [])
+        await payouts.connect(addr3).releaseERC20(hostile.address, artist.address)
+        expect(await hostile.balanceOf(artist.address)).to.equal(100)
+        expect(await payouts.releasableERC20(hostile.address, addr1.address)).to.equal(0)
+      })
+    })
 
-        const after = await artist.getBalance()
-        expect(after.sub(before)).to.equal(expectedBalance)
+    describe('changing payees', function () {
+      it('fails if the caller does not have the treasury role', async function () {
+        try {
+          await contract.connect(addr1).setPayees([addr1.address], [10000], [])
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain(`is missing role ${await contract.TREASURY_ROLE()}`)
       })
 
-      it('sends an equal share of the remaining 90% to the two FOUNDER_ROLE holders', async function () {
-        expectedBalance = expectedBalance.mul(90).div(100).div(2)
+      it('fails if called on the payouts contract directly', async function () {
+        try {
+          await payouts.setPayees([owner.address], [10000], [])
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Must be the NFT contract.')
+      })
 
-        const addr1Before = await addr1.getBalance()
-        const founder1Before = await founder1.getBalance()
+      it('fails if the shares do not add up to 100%', async function () {
+        try {
+          await contract.setPayees([addr1.address, addr2.address], [5000, 4000], [])
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Shares must add up to TOTAL_SHARES.')
+      })
 
-        await contract.withdrawAll()
+      it('fails if a payee is listed twice', async function () {
+        try {
+          await contract.setPayees([addr1.address, addr1.address], [5000, 5000], [])
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Duplicate payee.')
+      })
 
-        const addr1After = await addr1.getBalance()
-        const founder1After = await founder1.getBalance()
+      it('fails if a payee has no share', async function () {
+        try {
+          await contract.setPayees([addr1.address, addr2.address], [10000], [])
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Must provide a share for each payee.')
+      })
 
-        expect(addr1After.sub(addr1Before)).to.equal(expectedBalance)
-        expect(founder1After.sub(founder1Before)).to.equal(expectedBalance)
+      it('keeps what the old payees are owed and splits new funds with the new shares', async function () {
+        await expect(contract.setPayees([addr1.address, artist.address], [8000, 2000], []))
+          .to.emit(payouts, 'PayeesChanged')
+          .withArgs([addr1.address, artist.address], [8000, 2000])
+        await contract.connect(addr2).mint(addr2.address, 1, 0, [], { value: price })
+
+        expect(await payouts.payeeShares(founder1.address)).to.equal(0)
+        expect(await payouts.releasable(founder1.address)).to.equal(expectedBalance.mul(45).div(100))
+        expect(await payouts.releasable(addr1.address)).to.equal(price.mul(80).div(100))
+        expect(await payouts.releasable(artist.address)).to.equal(
+          expectedBalance.mul(10).div(100).add(price.mul(20).div(100))
+        )
       })
     })
   })
@@ -333,7 +651,7 @@ describe('Token contract', function () {
     describe('when no recipient provided', function () {
       it('generates an error', async function () {
         try {
-          await contract.connect(addr1).mint(null, 5, [], [])
+          await contract.connect(addr1).mint(null, 5, 0, [])
           throw new Error('was not supposed to succeed')
         } catch (err) {
           error = err
@@ -345,7 +663,7 @@ describe('Token contract', function () {
     describe('when no numMints provided', function () {
       it('generates an error', async function () {
         try {
-          await contract.connect(addr1).mint(addr1.address, null, [], [])
+          await contract.connect(addr1).mint(addr1.address, null, 0, [])
           throw new Error('was not supposed to succeed')
         } catch (err) {
           error = err
@@ -357,7 +675,7 @@ describe('Token contract', function () {
     describe('when no proof provided', function () {
       it('generates an error', async function () {
         try {
-          await contract.connect(addr1).mint(addr1.address, 1, null, [])
+          await contract.connect(addr1).mint(addr1.address, 1, 0, null)
           throw new Error('was not supposed to succeed')
         } catch (err) {
           error = err
@@ -366,22 +684,22 @@ describe('Token contract', function () {
       })
     })
 
-    describe('when no positions provided', function () {
+    describe('when no allowance provided', function () {
       it('generates an error', async function () {
         try {
-          await contract.connect(addr1).mint(addr1.address, 1, [], null)
+          await contract.connect(addr1).mint(addr1.address, 1, null, [])
           throw new Error('was not supposed to succeed')
         } catch (err) {
           error = err
         }
-        expect(error.message).to.contain('invalid value for array')
+        expect(error.message).to.contain('invalid BigNumber value')
       })
     })
 
     describe('when numMints is 0', function () {
       it('generates an error', async function () {
         try {
-          await contract.connect(addr1).mint(addr1.address, 0, [], [])
+          await contract.connect(addr1).mint(addr1.address, 0, 0, [])
           throw new Error('was not supposed to succeed')
         } catch (err) {
           error = err
@@ -393,7 +711,7 @@ describe('Token contract', function () {
     describe('when numMints is negative', function () {
       it('generates an error', async function () {
         try {
-          await contract.connect(addr1).mint(addr1.address, -1, [], [])
+          await contract.connect(addr1).mint(addr1.address, -1, 0, [])
           throw new Error('was not supposed to succeed')
         } catch (err) {
           error = err
@@ -410,8 +728,8 @@ describe('Token contract', function () {
           })
 
           it('mints one to the intended recipient and captures payment', async function () {
-            await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
-            const contractBalance = await ethers.provider.getBalance(contract.address)
+            await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
+            const contractBalance = await ethers.provider.getBalance(await contract.payouts())
             expect(await contract.balanceOf(addr1.address)).to.equal(numMints.toString())
             expect(contractBalance).to.equal(value.toString())
           })
@@ -422,11 +740,23 @@ describe('Token contract', function () {
             value = price.mul(numMints).add(price)
           })
 
-          it('mints one to the intended recipient and captures full payment (keeps the change)', async function () {
-            await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
-            const contractBalance = await ethers.provider.getBalance(contract.address)
+          it('mints one to the intended recipient, captures payment and refunds the change', async function () {
+            const startTokenId = await contract.totalSupply()
+            await expect(contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value }))
+              .to.emit(contract, 'Refunded')
+              .withArgs(addr2.address, price)
+              .and.to.emit(contract, 'Minted')
+              .withArgs(
+                addr1.address,
+                addr2.address,
+                startTokenId,
+                numMints,
+                price.mul(numMints),
+                await contract.currentPhase()
+              )
+            const contractBalance = await ethers.provider.getBalance(await contract.payouts())
             expect(await contract.balanceOf(addr1.address)).to.equal(numMints.toString())
-            expect(contractBalance).to.equal(value.toString())
+            expect(contractBalance).to.equal(price.mul(numMints).toString())
           })
         })
 
@@ -437,7 +767,7 @@ describe('Token contract', function () {
 
           it('does not mint to the recipient and generates an error', async function () {
             try {
-              await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+              await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
               throw new Error('was not supposed to succeed')
             } catch (err) {
               error = err
@@ -457,7 +787,7 @@ describe('Token contract', function () {
 
         it('does not mint to the recipient and generates an error', async function () {
           try {
-            await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+            await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
             throw new Error('was not supposed to succeed')
           } catch (err) {
             error = err
@@ -468,21 +798,13 @@ describe('Token contract', function () {
       })
     }
 
-    describe('when owner is minting', function () {
-      it('allows minting any amount for free', async function () {
-        await contract.connect(owner).mint(addr1.address, 12, [], [], { value: 0 })
-        expect(await contract.balanceOf(addr1.address)).to.equal('12')
-      })
-    })
-
     describe('during whitelist sale', function () {
       describe('when sender is on whitelist', function () {
         beforeEach(async function () {
-          // Need at least 2 addresses on whitelist. Cannot make a tree with only one.
           const whitelistedAddresses = [ethers.Wallet.createRandom().address, addr2.address]
 
-          tree = createWhitelistTree(whitelistedAddresses)
-          ;({ proof, positions } = getWhitelistParams(addr2.address, tree))
+          tree = whitelistTree(whitelistedAddresses)
+          ;({ allowance, proof } = getWhitelistParams(addr2.address, tree))
           await contract.connect(owner).updateWhitelist(rootFrom(tree))
         })
 
@@ -496,36 +818,75 @@ describe('Token contract', function () {
 
           it('does not mint to the recipient', async function () {
             try {
-              await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+              await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
             } catch (err) {}
             expect(await contract.balanceOf(addr1.address)).to.equal('0')
           })
 
           it('generates an error', async function () {
             try {
-              await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+              await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
               throw new Error('was not supposed to succeed')
             } catch (err) {
               error = err
             }
-            expect(error.message).to.contain('Can mint a max of 2 during presale')
+            expect(error.message).to.contain('Exceeds max mints per transaction.')
           })
         })
       })
 
       describe('when sender is not on whitelist', function () {
         beforeEach(function () {
-          proof = positions = []
+          allowance = 0
+          proof = []
         })
 
         for (let numMints = 1; numMints <= 2; numMints++) itShouldNotSuccessfullyMint(numMints)
       })
+
+      describe('when sender is whitelisted for fewer mints than the wallet limit', function () {
+        beforeEach(async function () {
+          tree = whitelistTree([addr2.address], 1)
+          ;({ allowance, proof } = getWhitelistParams(addr2.address, tree))
+          await contract.connect(owner).updateWhitelist(rootFrom(tree))
+          value = price
+        })
+
+        it('allows a whitelist of a single address', async function () {
+          expect(proof).to.deep.equal([])
+          await contract.connect(addr2).mint(addr1.address, 1, allowance, proof, { value })
+          expect(await contract.balanceOf(addr1.address)).to.equal('1')
+        })
+
+        it('stops minting once the allowance is used up', async function () {
+          await contract.connect(addr2).mint(addr1.address, 1, allowance, proof, { value })
+          try {
+            await contract.connect(addr2).mint(addr1.address, 1, allowance, proof, { value })
+            throw new Error('was not supposed to succeed')
+          } catch (err) {
+            error = err
+          }
+          expect(error.message).to.contain('Exceeds whitelist allowance.')
+          expect(await contract.balanceOf(addr1.address)).to.equal('1')
+        })
+
+        it('rejects a claimed allowance that is not in the whitelist', async function () {
+          try {
+            await contract.connect(addr2).mint(addr1.address, 2, 2, proof, { value: price.mul(2) })
+            throw new Error('was not supposed to succeed')
+          } catch (err) {
+            error = err
+          }
+          expect(error.message).to.contain('Not on whitelist')
+        })
+      })
     })
 
     describe('during public sale', function () {
       beforeEach(async function () {
         await contract.connect(owner).allowPublicMinting()
-        proof = positions = []
+        allowance = 0
+        proof = []
       })
 
       for (let numMints = 1; numMints <= 5; numMints++) itShouldSuccessfullyMint(numMints)
@@ -538,32 +899,33 @@ describe('Token contract', function () {
 
         it('does not mint to the recipient', async function () {
           try {
-            await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+            await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
           } catch (err) {}
           expect(await contract.balanceOf(addr1.address)).to.equal('0')
         })
 
         it('generates an error', async function () {
           try {
-            await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+            await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
             throw new Error('was not supposed to succeed')
           } catch (err) {
             error = err
           }
-          expect(error.message).to.contain('Can mint a max of 5 during public sale')
+          expect(error.message).to.contain('Exceeds max mints per transaction.')
         })
       })
     })
 
     describe('when sold out', function () {
       beforeEach(async function () {
-        await massMint(maxMints)
-        proof = positions = []
+        await massMint(await contract.availableMints())
+        allowance = 0
+        proof = []
       })
 
       it('does not mint to the recipient and generates a soldout error', async function () {
         try {
-          await contract.connect(addr2).mint(addr1.address, 1, proof, positions, { value })
+          await contract.connect(addr2).mint(addr1.address, 1, allowance, proof, { value })
         } catch (err) {
           error = err
         }
@@ -575,12 +937,13 @@ describe('Token contract', function () {
     describe('when nearing the end of the mint', function () {
       beforeEach(async function () {
         await contract.allowPublicMinting()
-        proof = positions = []
+        allowance = 0
+        proof = []
       })
 
       describe(`when supply has 4 left`, function () {
         beforeEach(async function () {
-          await massMint(maxMints - 4)
+          await massMint((await contract.availableMints()) - 4)
         })
 
         for (let numMints = 1; numMints <= 4; numMints++) itShouldSuccessfullyMint(numMints)
@@ -593,14 +956,14 @@ describe('Token contract', function () {
 
           it('does not mint to the recipient', async function () {
             try {
-              await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+              await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
             } catch (err) {}
             expect(await contract.balanceOf(addr1.address)).to.equal('0')
           })
 
           it('generates an error', async function () {
             try {
-              await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+              await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
               throw new Error('was not supposed to succeed')
             } catch (err) {
               error = err
@@ -612,7 +975,7 @@ describe('Token contract', function () {
 
       describe(`when supply has 3 left`, function () {
         beforeEach(async function () {
-          await massMint(maxMints - 3)
+          await massMint((await contract.availableMints()) - 3)
         })
 
         for (let numMints = 1; numMints <= 3; numMints++) itShouldSuccessfullyMint(numMints)
@@ -625,14 +988,14 @@ describe('Token contract', function () {
 
           it('does not mint to the recipient', async function () {
             try {
-              await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+              await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
             } catch (err) {}
             expect(await contract.balanceOf(addr1.address)).to.equal('0')
           })
 
           it('generates an error', async function () {
             try {
-              await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+              await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
               throw new Error('was not supposed to succeed')
             } catch (err) {
               error = err
@@ -644,7 +1007,7 @@ describe('Token contract', function () {
 
       describe(`when supply has 2 left`, function () {
         beforeEach(async function () {
-          await massMint(maxMints - 2)
+          await massMint((await contract.availableMints()) - 2)
         })
 
         for (let numMints = 1; numMints <= 2; numMints++) itShouldSuccessfullyMint(numMints)
@@ -657,14 +1020,14 @@ describe('Token contract', function () {
 
           it('does not mint to the recipient', async function () {
             try {
-              await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+              await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
             } catch (err) {}
             expect(await contract.balanceOf(addr1.address)).to.equal('0')
           })
 
           it('generates an error', async function () {
             try {
-              await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+              await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
               throw new Error('was not supposed to succeed')
             } catch (err) {
               error = err
@@ -676,7 +1039,7 @@ describe('Token contract', function () {
 
       describe(`when supply has 1 left`, function () {
         beforeEach(async function () {
-          await massMint(maxMints - 1)
+          await massMint((await contract.availableMints()) - 1)
         })
 
         itShouldSuccessfullyMint(1)
@@ -689,14 +1052,14 @@ describe('Token contract', function () {
 
           it('does not mint to the recipient', async function () {
             try {
-              await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+              await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
             } catch (err) {}
             expect(await contract.balanceOf(addr1.address)).to.equal('0')
           })
 
           it('generates an error', async function () {
             try {
-              await contract.connect(addr2).mint(addr1.address, numMints, proof, positions, { value })
+              await contract.connect(addr2).mint(addr1.address, numMints, allowance, proof, { value })
               throw new Error('was not supposed to succeed')
             } catch (err) {
               error = err
@@ -708,122 +1071,1016 @@ describe('Token contract', function () {
     })
   })
 
-  describe('Staff minting', function () {
-    describe('when the address does not have any staff allocations', function () {
-      it('generates an error', async function () {
+  describe('Per-wallet mint limits', function () {
+    let whitelistPhase, publicPhase
+
+    beforeEach(async function () {
+      whitelistPhase = await contract.WHITELIST_PHASE()
+      publicPhase = await contract.PUBLIC_PHASE()
+    })
+
+    describe('during whitelist sale', function () {
+      beforeEach(async function () {
+        tree = whitelistTree([ethers.Wallet.createRandom().address, addr2.address])
+        ;({ allowance, proof } = getWhitelistParams(addr2.address, tree))
+        await contract.connect(owner).updateWhitelist(rootFrom(tree))
+      })
+
+      it('reports the current phase', async function () {
+        expect(await contract.currentPhase()).to.equal(whitelistPhase)
+      })
+
+      it('counts mints across transactions against the sender', async function () {
+        await contract.connect(addr2).mint(addr2.address, 1, allowance, proof, { value: price })
+        expect(await contract.phaseMints(whitelistPhase, addr2.address)).to.equal(1)
+        expect(await contract.mintsRemaining(addr2.address)).to.equal(1)
+
+        await contract.connect(addr2).mint(addr3.address, 1, allowance, proof, { value: price })
+        expect(await contract.mintsRemaining(addr2.address)).to.equal(0)
+
         try {
-          await contract.connect(addr1).staffMint()
+          await contract.connect(addr2).mint(addr1.address, 1, allowance, proof, { value: price })
+          throw new Error('was not supposed to succeed')
         } catch (err) {
           error = err
         }
-        expect(error.message).to.contain('Must have claimable mints')
+        expect(error.message).to.contain('Exceeds wallet mint limit.')
+        expect(await contract.balanceOf(addr1.address)).to.equal('0')
       })
-    })
 
-    describe('when the address is a staff member', function () {
-      it('successfully mints 5 unclaimed mints', async function () {
-        expect(await contract.balanceOf(staff1.address)).to.equal('0')
-        await contract.connect(staff1).staffMint()
-        expect(await contract.balanceOf(staff1.address)).to.equal('5')
+      it('does not count whitelist mints against the public sale limit', async function () {
+        await contract.connect(addr2).mint(addr2.address, 2, allowance, proof, { value: price.mul(2) })
+        await contract.connect(owner).allowPublicMinting()
 
-        expect(await contract.balanceOf(staff2.address)).to.equal('0')
-        await contract.connect(staff2).staffMint()
-        expect(await contract.balanceOf(staff2.address)).to.equal('5')
+        expect(await contract.currentPhase()).to.equal(publicPhase)
+        expect(await contract.mintsRemaining(addr2.address)).to.equal(10)
+      })
+    })
 
-        expect(await contract.balanceOf(staff3.address)).to.equal('0')
-        await contract.connect(staff3).staffMint()
-        expect(await contract.balanceOf(staff3.address)).to.equal('5')
+    describe('during public sale', function () {
+      beforeEach(async function () {
+        await contract.connect(owner).allowPublicMinting()
       })
 
-      describe('when trying to claim again', function () {
-        beforeEach(async function () {
-          // Claim first time
-          await contract.connect(staff1).staffMint()
-        })
+      it('stops the sender from minting more than the limit over several transactions', async function () {
+        await contract.connect(addr2).mint(addr2.address, 5, 0, [], { value: price.mul(5) })
+        await contract.connect(addr2).mint(addr1.address, 5, 0, [], { value: price.mul(5) })
 
-        it('generates an error', async function () {
-          try {
-            await contract.connect(staff1).staffMint()
-          } catch (err) {
-            error = err
-          }
-          expect(error.message).to.contain('Must have claimable mints')
-        })
+        try {
+          await contract.connect(addr2).mint(addr2.address, 1, 0, [], { value: price })
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Exceeds wallet mint limit.')
+      })
 
-        it('does not mint more than 5 to the staff member', async function () {
-          try {
-            await contract.connect(staff1).staffMint()
-          } catch (err) {}
-          expect(await contract.balanceOf(staff1.address)).to.equal('5')
-        })
+      it('does not count airdrops', async function () {
+        await massMint(12)
+        expect(await contract.phaseMints(publicPhase, owner.address)).to.equal(0)
       })
     })
 
-    describe('when the address is the artist', function () {
-      it('successfully mints 20 unclaimed mints', async function () {
-        expect(await contract.balanceOf(artist.address)).to.equal('0')
-        await contract.connect(artist).staffMint()
-        expect(await contract.balanceOf(artist.address)).to.equal('20')
+    describe('setting the limit', function () {
+      it('fails if the caller does not have the sale manager role', async function () {
+        try {
+          await contract.connect(addr1).setMaxMintsPerWallet(publicPhase, 20)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain(`is missing role ${await contract.SALE_MANAGER_ROLE()}`)
       })
 
-      describe('when trying to claim again', function () {
-        beforeEach(async function () {
-          // Claim first time
-          await contract.connect(artist).staffMint()
+      it('fails for an unknown phase', async function () {
+        try {
+          await contract.connect(owner).setMaxMintsPerWallet(ethers.constants.HashZero, 20)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Unknown phase.')
+      })
+
+      it('changes the limit and emits an event', async function () {
+        await expect(contract.connect(owner).setMaxMintsPerWallet(publicPhase, 1))
+          .to.emit(contract, 'MaxMintsPerWalletChanged')
+          .withArgs(publicPhase, 1)
+
+        await contract.connect(owner).allowPublicMinting()
+        await contract.connect(addr2).mint(addr2.address, 1, 0, [], { value: price })
+        expect(await contract.mintsRemaining(addr2.address)).to.equal(0)
+      })
+    })
+  })
+
+  describe('Sale schedule', function () {
+    let now
+    let allowlistPhase
+    let publicPhase
+
+    async function increaseTimeTo(timestamp) {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [timestamp])
+      await ethers.provider.send('evm_mine', [])
+    }
+
+    beforeEach(async function () {
+      now = (await ethers.provider.getBlock('latest')).timestamp
+      tree = whitelistTree([ethers.Wallet.createRandom().address, addr2.address], 3)
+      allowlistPhase = {
+        id: ethers.utils.id('allowlist'),
+        price: ethers.utils.parseEther('0.03'),
+        startTime: now + 100,
+        endTime: now + 200,
+        maxPerTx: 3,
+        maxPerWallet: 3,
+        merkleRoot: rootFrom(tree),
+      }
+      publicPhase = {
+        id: await contract.PUBLIC_PHASE(),
+        price: ethers.utils.parseEther('0.05'),
+        startTime: now + 200,
+        endTime: now + 300,
+        maxPerTx: 1,
+        maxPerWallet: 2,
+        merkleRoot: ethers.constants.HashZero,
+      }
+    })
+
+    describe('setting the schedule', function () {
+      it('fails if the caller does not have the sale manager role', async function () {
+        try {
+          await contract.connect(addr1).setSalePhases([allowlistPhase])
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain(`is missing role ${await contract.SALE_MANAGER_ROLE()}`)
+      })
+
+      it('fails for a phase without an id', async function () {
+        try {
+          await contract.connect(owner).setSalePhases([{ ...allowlistPhase, id: ethers.constants.HashZero }])
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Phase must have an id.')
+      })
+
+      it('fails for a phase that ends before it starts', async function () {
+        try {
+          await contract.connect(owner).setSalePhases([{ ...allowlistPhase, endTime: allowlistPhase.startTime }])
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Phase must end after it starts.')
+      })
+
+      it('fails for overlapping phases', async function () {
+        try {
+          await contract.connect(owner).setSalePhases([allowlistPhase, { ...publicPhase, startTime: now + 150 }])
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Phases must be ordered and not overlap.')
+      })
+
+      it('stores the phases and emits an event', async function () {
+        await expect(contract.connect(owner).setSalePhases([allowlistPhase, publicPhase]))
+          .to.emit(contract, 'SalePhasesChanged')
+          .withArgs(2)
+
+        const phases = await contract.salePhases()
+        expect(phases.map((phase) => phase.id)).to.deep.equal([allowlistPhase.id, publicPhase.id])
+        expect(phases[1].price).to.equal(publicPhase.price)
+      })
+
+      it('replaces the previous schedule', async function () {
+        await contract.connect(owner).setSalePhases([allowlistPhase, publicPhase])
+        await contract.connect(owner).setSalePhases([])
+        expect(await contract.salePhases()).to.deep.equal([])
+      })
+    })
+
+    describe('before the first phase starts', function () {
+      beforeEach(async function () {
+        await contract.connect(owner).setSalePhases([allowlistPhase, publicPhase])
+      })
+
+      it('falls back to the whitelist phase', async function () {
+        const phase = await contract.currentSalePhase()
+        expect(phase.id).to.equal(await contract.WHITELIST_PHASE())
+        expect(phase.price).to.equal(price)
+        expect(phase.maxPerTx).to.equal(2)
+        expect(phase.merkleRoot).to.equal(ethers.constants.HashZero)
+      })
+
+      it('falls back to the public phase once public minting is allowed', async function () {
+        await contract.connect(owner).allowPublicMinting()
+        const phase = await contract.currentSalePhase()
+        expect(phase.id).to.equal(await contract.PUBLIC_PHASE())
+        expect(phase.maxPerTx).to.equal(5)
+        expect(phase.maxPerWallet).to.equal(10)
+      })
+    })
+
+    describe('during a phase with a merkle root', function () {
+      beforeEach(async function () {
+        await contract.connect(owner).setSalePhases([allowlistPhase, publicPhase])
+        await increaseTimeTo(allowlistPhase.startTime)
+        ;({ allowance, proof } = getWhitelistParams(addr2.address, tree))
+      })
+
+      it('reports the running phase', async function () {
+        expect(await contract.currentPhase()).to.equal(allowlistPhase.id)
+        expect((await contract.currentSalePhase()).merkleRoot).to.equal(allowlistPhase.merkleRoot)
+        expect(await contract.mintsRemaining(addr2.address)).to.equal(3)
+      })
+
+      it('mints at the phase price and limits to whitelisted addresses', async function () {
+        await contract.connect(addr2).mint(addr2.address, 3, allowance, proof, { value: allowlistPhase.price.mul(3) })
+        expect(await contract.balanceOf(addr2.address)).to.equal(3)
+        expect(await contract.phaseMints(allowlistPhase.id, addr2.address)).to.equal(3)
+      })
+
+      it('ignores public minting being allowed', async function () {
+        await contract.connect(owner).allowPublicMinting()
+        try {
+          await contract.connect(addr1).mint(addr1.address, 1, 0, [], { value: allowlistPhase.price })
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Not on whitelist.')
+      })
+
+      it('enforces the per-transaction limit of the phase', async function () {
+        try {
+          await contract.connect(addr2).mint(addr2.address, 4, allowance, proof, { value: allowlistPhase.price.mul(4) })
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Exceeds max mints per transaction.')
+      })
+    })
+
+    describe('during a phase without a merkle root', function () {
+      beforeEach(async function () {
+        await contract.connect(owner).setSalePhases([allowlistPhase, publicPhase])
+        await increaseTimeTo(publicPhase.startTime)
+      })
+
+      it('lets anyone mint even though public minting is not allowed', async function () {
+        await contract.connect(addr1).mint(addr1.address, 1, 0, [], { value: publicPhase.price })
+        expect(await contract.balanceOf(addr1.address)).to.equal(1)
+      })
+
+      it('requires the phase price', async function () {
+        try {
+          await contract.connect(addr1).mint(addr1.address, 1, 0, [], { value: price })
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Value below price')
+      })
+
+      it('enforces the per-wallet limit of the phase', async function () {
+        await contract.connect(addr1).mint(addr1.address, 1, 0, [], { value: publicPhase.price })
+        await contract.connect(addr1).mint(addr1.address, 1, 0, [], { value: publicPhase.price })
+        try {
+          await contract.connect(addr1).mint(addr1.address, 1, 0, [], { value: publicPhase.price })
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Exceeds wallet mint limit.')
+      })
+    })
+
+    describe('after the last phase ends', function () {
+      it('falls back to the manual phases', async function () {
+        await contract.connect(owner).setSalePhases([allowlistPhase, publicPhase])
+        await increaseTimeTo(publicPhase.endTime)
+        expect(await contract.currentPhase()).to.equal(await contract.WHITELIST_PHASE())
+      })
+    })
+  })
+
+  describe('Minting with a voucher', function () {
+    let signer
+    let vouchers
+    let domain
+    let voucher
+    let signature
+
+    async function signedVoucher(fields = {}, by = signer) {
+      const signed = { ...voucher, ...fields }
+      return [signed, await signVoucher(by, domain, signed)]
+    }
+
+    beforeEach(async function () {
+      signer = staff3
+      await contract.connect(owner).grantRole(await contract.VOUCHER_SIGNER_ROLE(), signer.address)
+      vouchers = await ethers.getContractAt('MetaDaoNftVouchers', await contract.vouchers())
+      domain = voucherDomain(vouchers.address, (await ethers.provider.getNetwork()).chainId)
+      voucher = {
+        minter: addr1.address,
+        maxQuantity: 2,
+        phase: await contract.WHITELIST_PHASE(),
+        expiry: (await ethers.provider.getBlock('latest')).timestamp + 3600,
+        nonce: 1,
+      }
+      signature = await signVoucher(signer, domain, voucher)
+    })
+
+    it('hashes vouchers like EIP-712', async function () {
+      const digest = ethers.utils._TypedDataEncoder.hash(domain, VOUCHER_TYPES, voucher)
+      expect(await vouchers.hashVoucher(voucher)).to.equal(digest)
+    })
+
+    it('mints without a merkle proof and emits an event', async function () {
+      await expect(
+        contract.connect(addr1).mintWithVoucher(addr1.address, 2, voucher, signature, { value: price.mul(2) })
+      )
+        .to.emit(vouchers, 'VoucherRedeemed')
+        .withArgs(addr1.address, 1, 2)
+        .and.to.emit(contract, 'Minted')
+        .withArgs(addr1.address, addr1.address, 0, 2, price.mul(2), voucher.phase)
+      expect(await contract.balanceOf(addr1.address)).to.equal(2)
+      expect(await vouchers.voucherMints(addr1.address, 1)).to.equal(2)
+    })
+
+    it('only lets the NFT contract redeem vouchers', async function () {
+      try {
+        await vouchers.connect(addr1).redeem(voucher, signature, addr1.address, voucher.phase, 2)
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Must be the NFT contract.')
+    })
+
+    it('can be redeemed over several transactions up to its quantity', async function () {
+      await contract.connect(addr1).mintWithVoucher(addr1.address, 1, voucher, signature, { value: price })
+      await contract.connect(addr1).mintWithVoucher(addr1.address, 1, voucher, signature, { value: price })
+      try {
+        await contract.connect(addr1).mintWithVoucher(addr1.address, 1, voucher, signature, { value: price })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Exceeds voucher quantity.')
+    })
+
+    it('fails for more than the quantity of the voucher', async function () {
+      ;[voucher, signature] = await signedVoucher({ maxQuantity: 1 })
+      try {
+        await contract.connect(addr1).mintWithVoucher(addr1.address, 2, voucher, signature, { value: price.mul(2) })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Exceeds voucher quantity.')
+    })
+
+    it('still applies the wallet limit of the phase', async function () {
+      ;[voucher, signature] = await signedVoucher({ maxQuantity: 5, nonce: 2 })
+      await contract.connect(addr1).mintWithVoucher(addr1.address, 2, voucher, signature, { value: price.mul(2) })
+      try {
+        await contract.connect(addr1).mintWithVoucher(addr1.address, 1, voucher, signature, { value: price })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Exceeds wallet mint limit.')
+    })
+
+    it('fails when redeemed by another address', async function () {
+      try {
+        await contract.connect(addr2).mintWithVoucher(addr2.address, 1, voucher, signature, { value: price })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Voucher is for another minter.')
+    })
+
+    it('fails once the voucher has expired', async function () {
+      await ethers.provider.send('evm_setNextBlockTimestamp', [voucher.expiry + 1])
+      await ethers.provider.send('evm_mine', [])
+      try {
+        await contract.connect(addr1).mintWithVoucher(addr1.address, 1, voucher, signature, { value: price })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Voucher has expired.')
+    })
+
+    it('fails outside of the phase of the voucher', async function () {
+      await contract.connect(owner).allowPublicMinting()
+      try {
+        await contract.connect(addr1).mintWithVoucher(addr1.address, 1, voucher, signature, { value: price })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Voucher is for another phase.')
+    })
+
+    it('fails for a voucher signed by an address without the signer role', async function () {
+      ;[voucher, signature] = await signedVoucher({}, addr3)
+      try {
+        await contract.connect(addr1).mintWithVoucher(addr1.address, 1, voucher, signature, { value: price })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Invalid voucher signature.')
+    })
+
+    it('fails for a voucher that was changed after signing', async function () {
+      try {
+        await contract
+          .connect(addr1)
+          .mintWithVoucher(addr1.address, 1, { ...voucher, maxQuantity: 10 }, signature, { value: price })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Invalid voucher signature.')
+    })
+
+    it('fails for a voucher signed for another contract', async function () {
+      const other = await Token.deploy([], artist.address, [], placeholderURI)
+      await other.deployed()
+      await other.connect(owner).grantRole(await other.VOUCHER_SIGNER_ROLE(), signer.address)
+      try {
+        await other.connect(addr1).mintWithVoucher(addr1.address, 1, voucher, signature, { value: price })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Invalid voucher signature.')
+    })
+
+    it('requires the price of the phase', async function () {
+      try {
+        await contract.connect(addr1).mintWithVoucher(addr1.address, 1, voucher, signature, { value: price.sub(1) })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Value below price')
+    })
+  })
+
+  describe('Refunds', function () {
+    beforeEach(async function () {
+      await contract.connect(owner).allowPublicMinting()
+    })
+
+    it('does not refund an exact payment', async function () {
+      await expect(contract.connect(addr2).mint(addr2.address, 2, 0, [], { value: price.mul(2) })).to.not.emit(
+        contract,
+        'Refunded'
+      )
+    })
+
+    it('sends the excess back to the sender', async function () {
+      const value = ethers.utils.parseEther('1')
+      const balance = await addr2.getBalance()
+      const tx = await contract.connect(addr2).mint(addr1.address, 2, 0, [], { value })
+      const receipt = await tx.wait()
+      const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice)
+
+      expect(await addr2.getBalance()).to.equal(balance.sub(price.mul(2)).sub(gas))
+      expect(await ethers.provider.getBalance(await contract.payouts())).to.equal(price.mul(2))
+    })
+
+    describe('to a contract', function () {
+      let minter
+
+      beforeEach(async function () {
+        const ReentrantMinter = await ethers.getContractFactory('ReentrantMinter')
+        minter = await ReentrantMinter.deploy(contract.address)
+        await minter.deployed()
+      })
+
+      it('refunds the contract', async function () {
+        await expect(minter.mint(addr1.address, 1, { value: price.mul(2) }))
+          .to.emit(contract, 'Refunded')
+          .withArgs(minter.address, price)
+        expect(await ethers.provider.getBalance(minter.address)).to.equal(price)
+      })
+
+      it('does not let the refund mint again', async function () {
+        await minter.setReenter(true)
+        try {
+          await minter.mint(addr1.address, 1, { value: price.mul(2) })
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Refund failed.')
+        expect(await contract.totalSupply()).to.equal(0)
+      })
+    })
+  })
+
+  describe('Airdrops', function () {
+    beforeEach(async function () {
+      await contract.connect(owner).grantRole(await contract.FREE_MINTER_ROLE(), addr3.address)
+    })
+
+    describe('setting the marketing reserve', function () {
+      it('holds the reserve back from mint and emits an event', async function () {
+        const available = await contract.availableMints()
+        await expect(contract.connect(owner).setMarketingReserve(50))
+          .to.emit(contract, 'MarketingReserveChanged')
+          .withArgs(0, 50)
+        expect(await contract.marketingReserve()).to.equal(50)
+        expect(await contract.availableMints()).to.equal(available.sub(50))
+      })
+
+      it('fails if the reserve is larger than the available mints', async function () {
+        const available = await contract.availableMints()
+        try {
+          await contract.connect(owner).setMarketingReserve(available.add(1))
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Not enough mints left to reserve.')
+      })
+    })
+
+    describe('with a marketing reserve', function () {
+      beforeEach(async function () {
+        await contract.connect(owner).setMarketingReserve(10)
+      })
+
+      it('mints to every recipient for free and emits an event for each', async function () {
+        const airdropPhase = await contract.AIRDROP_PHASE()
+        const tx = contract.connect(addr3).airdrop([addr1.address, addr2.address], [3, 1])
+        await expect(tx).to.emit(contract, 'Minted').withArgs(addr1.address, addr3.address, 0, 3, 0, airdropPhase)
+        await expect(tx).to.emit(contract, 'Minted').withArgs(addr2.address, addr3.address, 3, 1, 0, airdropPhase)
+
+        expect(await contract.balanceOf(addr1.address)).to.equal(3)
+        expect(await contract.balanceOf(addr2.address)).to.equal(1)
+        expect(await contract.marketingReserve()).to.equal(6)
+      })
+
+      it('does not change the available mints', async function () {
+        const available = await contract.availableMints()
+        await contract.connect(addr3).airdrop([addr1.address], [10])
+        expect(await contract.availableMints()).to.equal(available)
+      })
+
+      it('fails for more than the reserve', async function () {
+        try {
+          await contract.connect(addr3).airdrop([addr1.address, addr2.address], [6, 5])
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Exceeds marketing reserve.')
+        expect(await contract.balanceOf(addr1.address)).to.equal(0)
+      })
+
+      it('fails if there is not one amount per recipient', async function () {
+        try {
+          await contract.connect(addr3).airdrop([addr1.address, addr2.address], [1])
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Must provide an amount for each recipient.')
+      })
+
+      it('fails for an amount of zero', async function () {
+        try {
+          await contract.connect(addr3).airdrop([addr1.address], [0])
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Must provide an amount to mint.')
+      })
+    })
+  })
+
+  describe('Staff minting', function () {
+    describe('when the address does not have any staff allocations', function () {
+      it('generates an error', async function () {
+        try {
+          await contract.connect(addr1).staffMint(1)
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Must have claimable mints')
+      })
+    })
+
+    describe('when the address is a staff member', function () {
+      it('successfully mints 5 unclaimed mints', async function () {
+        expect(await contract.balanceOf(staff1.address)).to.equal('0')
+        await contract.connect(staff1).staffMint(5)
+        expect(await contract.balanceOf(staff1.address)).to.equal('5')
+
+        expect(await contract.balanceOf(staff2.address)).to.equal('0')
+        await contract.connect(staff2).staffMint(5)
+        expect(await contract.balanceOf(staff2.address)).to.equal('5')
+
+        expect(await contract.balanceOf(staff3.address)).to.equal('0')
+        await contract.connect(staff3).staffMint(5)
+        expect(await contract.balanceOf(staff3.address)).to.equal('5')
+      })
+
+      describe('when trying to claim again', function () {
+        beforeEach(async function () {
+          // Claim first time
+          await contract.connect(staff1).staffMint(5)
+        })
+
+        it('generates an error', async function () {
+          try {
+            await contract.connect(staff1).staffMint(5)
+          } catch (err) {
+            error = err
+          }
+          expect(error.message).to.contain('Must have claimable mints')
         })
 
-        it('generates an error', async function () {
-          try {
-            await contract.connect(artist).staffMint()
-          } catch (err) {
-            error = err
-          }
-          expect(error.message).to.contain('Must have claimable mints')
-        })
+        it('does not mint more than 5 to the staff member', async function () {
+          try {
+            await contract.connect(staff1).staffMint(5)
+          } catch (err) {}
+          expect(await contract.balanceOf(staff1.address)).to.equal('5')
+        })
+      })
+    })
+
+    describe('when the address is the artist', function () {
+      it('successfully mints 20 unclaimed mints', async function () {
+        expect(await contract.balanceOf(artist.address)).to.equal('0')
+        await contract.connect(artist).staffMint(20)
+        expect(await contract.balanceOf(artist.address)).to.equal('20')
+      })
+
+      describe('when trying to claim again', function () {
+        beforeEach(async function () {
+          // Claim first time
+          await contract.connect(artist).staffMint(20)
+        })
+
+        it('generates an error', async function () {
+          try {
+            await contract.connect(artist).staffMint(20)
+          } catch (err) {
+            error = err
+          }
+          expect(error.message).to.contain('Must have claimable mints')
+        })
+
+        it('does not mint more than 20 to the artist', async function () {
+          try {
+            await contract.connect(artist).staffMint(20)
+          } catch (err) {}
+          expect(await contract.balanceOf(artist.address)).to.equal('20')
+        })
+      })
+    })
+
+    describe('when the address is a founder', function () {
+      it('successfully mints 20 unclaimed mints', async function () {
+        expect(await contract.balanceOf(owner.address)).to.equal('0')
+        await contract.connect(owner).staffMint(20)
+        expect(await contract.balanceOf(owner.address)).to.equal('20')
+
+        expect(await contract.balanceOf(founder1.address)).to.equal('0')
+        await contract.connect(founder1).staffMint(20)
+        expect(await contract.balanceOf(founder1.address)).to.equal('20')
+      })
+
+      describe('when trying to claim again', function () {
+        beforeEach(async function () {
+          // Claim first time
+          await contract.connect(owner).staffMint(20)
+        })
+
+        it('generates an error', async function () {
+          try {
+            await contract.connect(owner).staffMint(20)
+          } catch (err) {
+            error = err
+          }
+          expect(error.message).to.contain('Must have claimable mints')
+        })
+
+        it('does not mint more than 20 to the staff member', async function () {
+          try {
+            await contract.connect(owner).staffMint(20)
+          } catch (err) {}
+          expect(await contract.balanceOf(owner.address)).to.equal('20')
+        })
+      })
+    })
+
+    describe('when claiming part of an allocation', function () {
+      it('mints the amount and reports it in the event', async function () {
+        await contract.connect(staff2).staffMint(1)
+        await expect(contract.connect(staff1).staffMint(2))
+          .to.emit(contract, 'Minted')
+          .withArgs(staff1.address, staff1.address, 1, 2, 0, await contract.STAFF_PHASE())
+          .and.to.emit(contract, 'AllocationChanged')
+          .withArgs(staff1.address, 5, 3)
+        expect(await contract.balanceOf(staff1.address)).to.equal('2')
+        expect(await contract.staffAllocations(staff1.address)).to.equal('3')
+      })
+
+      it('allows claiming the rest later', async function () {
+        await contract.connect(staff1).staffMint(2)
+        await contract.connect(staff1).staffMint(3)
+        expect(await contract.balanceOf(staff1.address)).to.equal('5')
+        expect(await contract.staffAllocations(staff1.address)).to.equal('0')
+      })
+
+      it('does not allow claiming more than what is left', async function () {
+        await contract.connect(staff1).staffMint(2)
+        try {
+          await contract.connect(staff1).staffMint(4)
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Exceeds claimable mints.')
+        expect(await contract.balanceOf(staff1.address)).to.equal('2')
+      })
+
+      it('does not allow claiming nothing', async function () {
+        try {
+          await contract.connect(staff1).staffMint(0)
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Must provide an amount to mint.')
+      })
+    })
+
+    describe('changing allocations', function () {
+      it('fails if the caller does not have admin role', async function () {
+        try {
+          await contract.connect(addr1).setStaffAllocation(addr1.address, 5)
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain(`is missing role ${await contract.DEFAULT_ADMIN_ROLE()}`)
+      })
+
+      it('grants an allocation to a new address', async function () {
+        await expect(contract.connect(owner).setStaffAllocation(addr1.address, 3))
+          .to.emit(contract, 'AllocationChanged')
+          .withArgs(addr1.address, 0, 3)
+        await contract.connect(addr1).staffMint(3)
+        expect(await contract.balanceOf(addr1.address)).to.equal('3')
+      })
+
+      it('adjusts an existing allocation', async function () {
+        await contract.connect(owner).setStaffAllocation(artist.address, 30)
+        await contract.connect(artist).staffMint(30)
+        expect(await contract.balanceOf(artist.address)).to.equal('30')
+      })
+
+      it('revokes an allocation', async function () {
+        await expect(contract.connect(owner).setStaffAllocation(staff1.address, 0))
+          .to.emit(contract, 'AllocationChanged')
+          .withArgs(staff1.address, 5, 0)
+        try {
+          await contract.connect(staff1).staffMint(1)
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Must have claimable mints')
+      })
+    })
+  })
+
+  describe('Reserved supply', function () {
+    it('reserves the unclaimed staff allocations', async function () {
+      expect(await contract.reservedMints()).to.equal(75)
+      expect(await contract.availableMints()).to.equal(maxMints.sub(75))
+    })
+
+    it('releases the reservation as allocations are claimed', async function () {
+      await contract.connect(staff1).staffMint(2)
+      expect(await contract.reservedMints()).to.equal(73)
+      expect(await contract.availableMints()).to.equal(maxMints.sub(75))
+    })
+
+    it('frees the supply of a revoked allocation', async function () {
+      await contract.connect(owner).setStaffAllocation(artist.address, 0)
+      expect(await contract.reservedMints()).to.equal(55)
+      expect(await contract.availableMints()).to.equal(maxMints.sub(55))
+    })
+
+    describe('when the available supply is sold out', function () {
+      beforeEach(async function () {
+        await massMint(await contract.availableMints())
+        await contract.connect(owner).allowPublicMinting()
+      })
+
+      it('does not let the sale mint the reserved supply', async function () {
+        try {
+          await contract.connect(addr2).mint(addr2.address, 1, 0, [], { value: price })
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Soldout!')
+        expect(await contract.totalSupply()).to.equal(maxMints.sub(75))
+      })
 
-        it('does not mint more than 20 to the artist', async function () {
-          try {
-            await contract.connect(artist).staffMint()
-          } catch (err) {}
-          expect(await contract.balanceOf(artist.address)).to.equal('20')
-        })
+      it('still lets staff, founders and the artist claim their allocations', async function () {
+        await contract.connect(staff1).staffMint(5)
+        await contract.connect(founder1).staffMint(20)
+        await contract.connect(artist).staffMint(20)
+        expect(await contract.balanceOf(staff1.address)).to.equal('5')
+        expect(await contract.reservedMints()).to.equal(30)
+      })
+
+      it('does not grant allocations beyond the supply', async function () {
+        try {
+          await contract.connect(owner).setStaffAllocation(addr1.address, 1)
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Not enough mints left to reserve.')
       })
     })
+  })
 
-    describe('when the address is a founder', function () {
-      it('successfully mints 20 unclaimed mints', async function () {
-        expect(await contract.balanceOf(owner.address)).to.equal('0')
-        await contract.connect(owner).staffMint()
-        expect(await contract.balanceOf(owner.address)).to.equal('20')
+  describe('Minting before the provenance hash is set', function () {
+    let voucher
+    let signature
 
-        expect(await contract.balanceOf(founder1.address)).to.equal('0')
-        await contract.connect(founder1).staffMint()
-        expect(await contract.balanceOf(founder1.address)).to.equal('20')
+    const mints = {
+      mint: () => contract.connect(addr1).mint(addr1.address, 1, 0, [], { value: price }),
+      mintWithVoucher: () =>
+        contract.connect(addr1).mintWithVoucher(addr1.address, 1, voucher, signature, { value: price }),
+      staffMint: () => contract.connect(staff1).staffMint(1),
+      airdrop: () => contract.connect(owner).airdrop([addr1.address], [1]),
+    }
+
+    beforeEach(async function () {
+      contract = await Token.deploy([owner.address, founder1.address], artist.address, [staff1.address], placeholderURI)
+      await contract.deployed()
+      await contract.connect(owner).allowPublicMinting()
+      await contract.connect(owner).grantRole(await contract.FREE_MINTER_ROLE(), owner.address)
+      await contract.connect(owner).setMarketingReserve(1)
+      await contract.connect(owner).grantRole(await contract.VOUCHER_SIGNER_ROLE(), owner.address)
+      voucher = {
+        minter: addr1.address,
+        maxQuantity: 1,
+        phase: await contract.PUBLIC_PHASE(),
+        expiry: (await ethers.provider.getBlock('latest')).timestamp + 3600,
+        nonce: 1,
+      }
+      const { chainId } = await ethers.provider.getNetwork()
+      signature = await signVoucher(owner, voucherDomain(await contract.vouchers(), chainId), voucher)
+    })
+
+    Object.entries(mints).forEach(([name, call]) => {
+      it(`stops ${name} until the provenance hash is set`, async function () {
+        try {
+          await call()
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Provenance hash not set.')
+        expect(await contract.totalSupply()).to.equal(0)
+
+        await contract.setProvenanceHash(ethers.utils.id('provenance'))
+        await call()
+        expect(await contract.totalSupply()).to.equal(1)
       })
+    })
 
-      describe('when trying to claim again', function () {
-        beforeEach(async function () {
-          // Claim first time
-          await contract.connect(owner).staffMint()
-        })
+    it('can reveal what is minted once the provenance hash is set', async function () {
+      await contract.setProvenanceHash(ethers.utils.id('provenance'))
+      await mints.mint()
+      await contract.reveal('ipfs://revealed/')
+      expect(await contract.tokenURI(0)).to.not.equal(placeholderURI)
+    })
+  })
 
-        it('generates an error', async function () {
-          try {
-            await contract.connect(owner).staffMint()
-          } catch (err) {
-            error = err
-          }
-          expect(error.message).to.contain('Must have claimable mints')
-        })
+  describe('Pausing', function () {
+    let voucher
+    let signature
 
-        it('does not mint more than 20 to the staff member', async function () {
-          try {
-            await contract.connect(owner).staffMint()
-          } catch (err) {}
-          expect(await contract.balanceOf(owner.address)).to.equal('20')
-        })
+    const mints = {
+      mint: () => contract.connect(addr1).mint(addr1.address, 1, 0, [], { value: price }),
+      mintWithVoucher: () =>
+        contract.connect(addr1).mintWithVoucher(addr1.address, 1, voucher, signature, { value: price }),
+      staffMint: () => contract.connect(staff1).staffMint(1),
+      airdrop: () => contract.connect(owner).airdrop([addr1.address], [1]),
+    }
+
+    beforeEach(async function () {
+      await contract.connect(owner).allowPublicMinting()
+      await contract.connect(owner).grantRole(await contract.FREE_MINTER_ROLE(), owner.address)
+      await contract.connect(owner).setMarketingReserve(1)
+      await contract.connect(owner).grantRole(await contract.VOUCHER_SIGNER_ROLE(), owner.address)
+      voucher = {
+        minter: addr1.address,
+        maxQuantity: 1,
+        phase: await contract.PUBLIC_PHASE(),
+        expiry: (await ethers.provider.getBlock('latest')).timestamp + 3600,
+        nonce: 1,
+      }
+      const { chainId } = await ethers.provider.getNetwork()
+      signature = await signVoucher(owner, voucherDomain(await contract.vouchers(), chainId), voucher)
+    })
+
+    it('emits events when paused and unpaused', async function () {
+      await expect(contract.connect(owner).pause(false)).to.emit(contract, 'Paused').withArgs(owner.address)
+      expect(await contract.paused()).to.equal(true)
+      await expect(contract.connect(owner).unpause()).to.emit(contract, 'Unpaused').withArgs(owner.address)
+      expect(await contract.paused()).to.equal(false)
+    })
+
+    Object.entries(mints).forEach(([name, call]) => {
+      it(`stops ${name} until unpaused`, async function () {
+        await contract.connect(owner).pause(false)
+        try {
+          await call()
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Pausable: paused')
+
+        await contract.connect(owner).unpause()
+        await call()
       })
     })
+
+    it('leaves transfers alone unless asked to pause them', async function () {
+      await mints.mint()
+      await contract.connect(owner).pause(false)
+      await contract.connect(addr1).transferFrom(addr1.address, addr2.address, 0)
+      expect(await contract.ownerOf(0)).to.equal(addr2.address)
+    })
+
+    it('stops transfers too when asked, until unpaused', async function () {
+      await mints.mint()
+      await contract.connect(owner).pause(true)
+      expect(await contract.areTransfersPaused()).to.equal(true)
+      try {
+        await contract.connect(addr1).transferFrom(addr1.address, addr2.address, 0)
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Transfers are paused.')
+
+      await contract.connect(owner).unpause()
+      expect(await contract.areTransfersPaused()).to.equal(false)
+      await contract.connect(addr1).transferFrom(addr1.address, addr2.address, 0)
+      expect(await contract.ownerOf(0)).to.equal(addr2.address)
+    })
+
+    it('stops transfers after pausing only minting, without reopening minting', async function () {
+      await mints.mint()
+      await contract.connect(owner).pause(false)
+      await contract.connect(owner).setTransfersPaused(true)
+      expect(await contract.paused()).to.equal(true)
+      try {
+        await contract.connect(addr1).transferFrom(addr1.address, addr2.address, 0)
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Transfers are paused.')
+
+      await contract.connect(owner).setTransfersPaused(false)
+      await contract.connect(addr1).transferFrom(addr1.address, addr2.address, 0)
+      expect(await contract.ownerOf(0)).to.equal(addr2.address)
+    })
+
+    it('only stops transfers while paused', async function () {
+      try {
+        await contract.connect(owner).setTransfersPaused(true)
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Pausable: not paused')
+    })
   })
 
   describe('when public minting is not allowed', function () {
@@ -832,13 +2089,13 @@ describe('Token contract', function () {
         const whitelistedAddresses = Array.from({ length: 100 }, () => ethers.Wallet.createRandom().address).concat(
           addr1.address
         )
-        tree = createWhitelistTree(whitelistedAddresses)
+        tree = whitelistTree(whitelistedAddresses)
       })
 
       it('allows the address to mint', async function () {
-        const { proof, positions } = getWhitelistParams(addr1.address, tree)
+        const { allowance, proof } = getWhitelistParams(addr1.address, tree)
         await contract.connect(owner).updateWhitelist(rootFrom(tree))
-        await contract.connect(addr1).mint(addr1.address, 1, proof, positions, { value: price })
+        await contract.connect(addr1).mint(addr1.address, 1, allowance, proof, { value: price })
 
         expect(await contract.balanceOf(addr1.address)).to.equal('1')
       })
@@ -847,7 +2104,7 @@ describe('Token contract', function () {
     describe('when the address is not whitelisted', function () {
       it('fails to mint', async function () {
         try {
-          await contract.connect(addr1).mint(addr1.address, 1, [], [], { value: price })
+          await contract.connect(addr1).mint(addr1.address, 1, 0, [], { value: price })
         } catch (err) {
           error = err
         }
@@ -857,14 +2114,14 @@ describe('Token contract', function () {
     })
 
     describe('re-enabling public mint', function () {
-      it('fails if the caller does not have admin role', async function () {
+      it('fails if the caller does not have the sale manager role', async function () {
         try {
           await contract.connect(addr1).allowPublicMinting()
           throw new Error('was not supposed to succeed')
         } catch (err) {
           error = err
         }
-        expect(error.message).to.contain('Must be an admin')
+        expect(error.message).to.contain(`is missing role ${await contract.SALE_MANAGER_ROLE()}`)
         expect(await contract.isPublicMintingAllowed()).to.equal(false)
       })
 
@@ -881,7 +2138,7 @@ describe('Token contract', function () {
       it('allows public minting', async function () {
         await contract.connect(owner).allowPublicMinting()
 
-        await contract.connect(addr1).mint(addr1.address, 1, [], [], { value: price })
+        await contract.connect(addr1).mint(addr1.address, 1, 0, [], { value: price })
         expect(await contract.balanceOf(addr1.address)).to.equal('1')
       })
     })
@@ -897,13 +2154,13 @@ describe('Token contract', function () {
         const whitelistedAddresses = Array.from({ length: 100 }, () => ethers.Wallet.createRandom().address).concat(
           addr1.address
         )
-        tree = createWhitelistTree(whitelistedAddresses)
+        tree = whitelistTree(whitelistedAddresses)
       })
 
       it('allows the address to mint', async function () {
-        const { proof, positions } = getWhitelistParams(addr1.address, tree)
+        const { allowance, proof } = getWhitelistParams(addr1.address, tree)
         await contract.connect(owner).updateWhitelist(rootFrom(tree))
-        await contract.connect(addr1).mint(addr1.address, 1, proof, positions, { value: price })
+        await contract.connect(addr1).mint(addr1.address, 1, allowance, proof, { value: price })
 
         expect(await contract.balanceOf(addr1.address)).to.equal('1')
       })
@@ -911,23 +2168,23 @@ describe('Token contract', function () {
 
     describe('when the address is not whitelisted', function () {
       it('allows the address to mint', async function () {
-        const { proof, positions } = getWhitelistParams(addr1.address, tree)
+        const { allowance, proof } = getWhitelistParams(addr1.address, tree)
         await contract.connect(owner).updateWhitelist(rootFrom(tree))
-        await contract.connect(addr1).mint(addr1.address, 1, proof, positions, { value: price })
+        await contract.connect(addr1).mint(addr1.address, 1, allowance, proof, { value: price })
 
         expect(await contract.balanceOf(addr1.address)).to.equal('1')
       })
     })
 
     describe('disabling public mint', function () {
-      it('fails if the caller does not have admin role', async function () {
+      it('fails if the caller does not have the sale manager role', async function () {
         try {
           await contract.connect(addr1).disallowPublicMinting()
           throw new Error('was not supposed to succeed')
         } catch (err) {
           error = err
         }
-        expect(error.message).to.contain('Must be an admin')
+        expect(error.message).to.contain(`is missing role ${await contract.SALE_MANAGER_ROLE()}`)
         expect(await contract.isPublicMintingAllowed()).to.equal(true)
       })
 
@@ -944,7 +2201,7 @@ describe('Token contract', function () {
       it('disallows public minting', async function () {
         try {
           await contract.connect(owner).disallowPublicMinting()
-          await contract.connect(addr1).mint(addr1.address, 1, [], [], { value: price })
+          await contract.connect(addr1).mint(addr1.address, 1, 0, [], { value: price })
         } catch (err) {
           error = err
         }
@@ -954,17 +2211,109 @@ describe('Token contract', function () {
     })
   })
 
+  describe('Royalties', function () {
+    const salePrice = ethers.utils.parseEther('1')
+
+    it('supports the EIP-2981 interface', async function () {
+      expect(await contract.supportsInterface('0x2a55205a')).to.equal(true)
+    })
+
+    it('still supports the ERC721 and AccessControl interfaces', async function () {
+      expect(await contract.supportsInterface('0x80ac58cd')).to.equal(true)
+      expect(await contract.supportsInterface('0x7965db0b')).to.equal(true)
+      expect(await contract.supportsInterface('0xffffffff')).to.equal(false)
+    })
+
+    it('pays the default royalty to the artist', async function () {
+      const [receiver, amount] = await contract.royaltyInfo(0, salePrice)
+      expect(receiver).to.equal(artist.address)
+      expect(amount).to.equal(salePrice.mul(500).div(10000))
+    })
+
+    describe('changing the default royalty', function () {
+      it('fails if the caller does not have the treasury role', async function () {
+        try {
+          await contract.connect(addr1).setDefaultRoyalty(addr1.address, 1000)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain(`is missing role ${await contract.TREASURY_ROLE()}`)
+      })
+
+      it('pays the new receiver and rate and emits an event', async function () {
+        await expect(contract.setDefaultRoyalty(addr1.address, 750))
+          .to.emit(contract, 'DefaultRoyaltyChanged')
+          .withArgs(addr1.address, 750)
+
+        const [receiver, amount] = await contract.royaltyInfo(7, 10000)
+        expect(receiver).to.equal(addr1.address)
+        expect(amount).to.equal(750)
+      })
+
+      it('does not allow more than 100%', async function () {
+        try {
+          await contract.setDefaultRoyalty(addr1.address, 10001)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('ERC2981: royalty fee will exceed salePrice')
+      })
+
+      it('pays nothing once the default is deleted', async function () {
+        await contract.deleteDefaultRoyalty()
+        const [receiver, amount] = await contract.royaltyInfo(0, salePrice)
+        expect(receiver).to.equal(ethers.constants.AddressZero)
+        expect(amount).to.equal(0)
+      })
+    })
+
+    describe('overriding the royalty of a token', function () {
+      beforeEach(async function () {
+        await contract.setTokenRoyalty(3, addr2.address, 1000)
+      })
+
+      it('fails if the caller does not have the treasury role', async function () {
+        try {
+          await contract.connect(addr1).setTokenRoyalty(3, addr1.address, 1000)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain(`is missing role ${await contract.TREASURY_ROLE()}`)
+      })
+
+      it('pays the override for that token only', async function () {
+        const [receiver, amount] = await contract.royaltyInfo(3, salePrice)
+        expect(receiver).to.equal(addr2.address)
+        expect(amount).to.equal(salePrice.div(10))
+        expect((await contract.royaltyInfo(4, salePrice))[0]).to.equal(artist.address)
+      })
+
+      it('goes back to the default once reset', async function () {
+        await expect(contract.resetTokenRoyalty(3))
+          .to.emit(contract, 'TokenRoyaltyChanged')
+          .withArgs(3, ethers.constants.AddressZero, 0)
+        expect((await contract.royaltyInfo(3, salePrice))[0]).to.equal(artist.address)
+      })
+    })
+  })
+
   describe('tokenURI', function () {
+    const revealedURI = 'ipfs://revealed/'
+    const provenanceHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('provenance'))
+
     beforeEach(async function () {
+      await contract.setProvenanceHash(provenanceHash)
       // Mint a few pieces
       await contract.connect(owner).allowPublicMinting()
       await massMint(3)
     })
 
-    it('returns the correct IPFS url for a minted token', async function () {
-      expect(await contract.tokenURI(0)).to.equal(`${baseURI}0`)
-      expect(await contract.tokenURI(1)).to.equal(`${baseURI}1`)
-      expect(await contract.tokenURI(2)).to.equal(`${baseURI}2`)
+    it('returns the placeholder for every token before the reveal', async function () {
+      expect(await contract.tokenURI(0)).to.equal(placeholderURI)
+      expect(await contract.tokenURI(2)).to.equal(placeholderURI)
     })
 
     it('throws an error for an unminted token', async function () {
@@ -976,5 +2325,201 @@ describe('Token contract', function () {
       }
       expect(error.message).to.contain('URIQueryForNonexistentToken')
     })
+
+    it('supports the EIP-4906 interface', async function () {
+      expect(await contract.supportsInterface('0x49064906')).to.equal(true)
+    })
+
+    describe('setting the provenance hash', function () {
+      it('fails if the caller does not have the metadata manager role', async function () {
+        const Token = await ethers.getContractFactory('MetaDaoNft')
+        contract = await Token.deploy([], artist.address, [], placeholderURI)
+        try {
+          await contract.connect(addr1).setProvenanceHash(provenanceHash)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain(`is missing role ${await contract.METADATA_MANAGER_ROLE()}`)
+      })
+
+      it('cannot be changed once minting has started', async function () {
+        try {
+          await contract.setProvenanceHash(ethers.constants.HashZero)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Provenance is locked once minting starts.')
+        expect(await contract.provenanceHash()).to.equal(provenanceHash)
+      })
+    })
+
+    describe('changing the placeholder', function () {
+      it('updates every token and tells marketplaces to refresh', async function () {
+        await expect(contract.setPlaceholderURI('ipfs://other.json'))
+          .to.emit(contract, 'BatchMetadataUpdate')
+          .withArgs(0, maxMints.sub(1))
+        expect(await contract.tokenURI(1)).to.equal('ipfs://other.json')
+      })
+
+      it('fails after the reveal', async function () {
+        await contract.reveal(revealedURI)
+        try {
+          await contract.setPlaceholderURI('ipfs://other.json')
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Already revealed.')
+      })
+    })
+
+    describe('revealing', function () {
+      it('fails if the caller does not have the metadata manager role', async function () {
+        try {
+          await contract.connect(addr1).reveal(revealedURI)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain(`is missing role ${await contract.METADATA_MANAGER_ROLE()}`)
+      })
+
+      it('fails without a provenance hash', async function () {
+        const Token = await ethers.getContractFactory('MetaDaoNft')
+        contract = await Token.deploy([], artist.address, [], placeholderURI)
+        try {
+          await contract.reveal(revealedURI)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Provenance hash not set.')
+      })
+
+      it('offsets every token by the starting index', async function () {
+        await expect(contract.reveal(revealedURI)).to.emit(contract, 'Revealed')
+        const startingIndex = await contract.startingIndex()
+
+        expect(startingIndex.lt(maxMints)).to.equal(true)
+        expect(await contract.isRevealed()).to.equal(true)
+        for (let tokenId = 0; tokenId < 3; tokenId++) {
+          expect(await contract.tokenURI(tokenId)).to.equal(`${revealedURI}${startingIndex.add(tokenId).mod(maxMints)}`)
+        }
+      })
+
+      it('tells marketplaces to refresh every token', async function () {
+        await expect(contract.reveal(revealedURI)).to.emit(contract, 'BatchMetadataUpdate').withArgs(0, maxMints.sub(1))
+      })
+
+      it('can only happen once', async function () {
+        await contract.reveal(revealedURI)
+        try {
+          await contract.reveal('ipfs://again/')
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Already revealed.')
+      })
+    })
+
+    describe('after the reveal', function () {
+      beforeEach(async function () {
+        await contract.reveal(revealedURI)
+      })
+
+      it('lets admins fix the base URI', async function () {
+        await expect(contract.setBaseURI('ipfs://fixed/')).to.emit(contract, 'BatchMetadataUpdate')
+        expect(await contract.tokenURI(0)).to.match(/^ipfs:\/\/fixed\/\d+$/)
+      })
+
+      it('freezes the metadata for good', async function () {
+        await expect(contract.freezeMetadata()).to.emit(contract, 'MetadataFrozen')
+        try {
+          await contract.setBaseURI('ipfs://fixed/')
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Metadata is frozen.')
+        expect(await contract.isMetadataFrozen()).to.equal(true)
+      })
+    })
+
+    describe('switching to on-chain metadata', function () {
+      let renderer
+
+      beforeEach(async function () {
+        const Renderer = await ethers.getContractFactory('MetaDaoNftRenderer')
+        renderer = await Renderer.deploy()
+        await renderer.deployed()
+      })
+
+      it('fails if the caller does not have the metadata manager role', async function () {
+        try {
+          await contract.connect(addr1).setRenderer(renderer.address)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain(`is missing role ${await contract.METADATA_MANAGER_ROLE()}`)
+      })
+
+      it('tells marketplaces to refresh', async function () {
+        await expect(contract.setRenderer(renderer.address))
+          .to.emit(contract, 'RendererChanged')
+          .withArgs(renderer.address)
+          .and.to.emit(contract, 'BatchMetadataUpdate')
+          .withArgs(0, maxMints.sub(1))
+      })
+
+      it('keeps the placeholder until the reveal', async function () {
+        await contract.setRenderer(renderer.address)
+        expect(await contract.tokenURI(1)).to.equal(placeholderURI)
+      })
+
+      it('renders the artwork at the position of the token after the reveal', async function () {
+        await contract.setRenderer(renderer.address)
+        await contract.reveal(revealedURI)
+        const position = (await contract.startingIndex()).add(1).mod(maxMints)
+
+        expect(await contract.tokenURI(1)).to.equal(await renderer.tokenURI(1, position))
+      })
+
+      it('goes back to the URIs when the renderer is removed', async function () {
+        await contract.reveal(revealedURI)
+        await contract.setRenderer(renderer.address)
+        await contract.setRenderer(ethers.constants.AddressZero)
+        const position = (await contract.startingIndex()).add(1).mod(maxMints)
+
+        expect(await contract.tokenURI(1)).to.equal(`${revealedURI}${position}`)
+      })
+
+      it('cannot be changed once the metadata is frozen', async function () {
+        await contract.reveal(revealedURI)
+        await contract.freezeMetadata()
+        try {
+          await contract.setRenderer(renderer.address)
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Metadata is frozen.')
+      })
+    })
+
+    describe('before the reveal', function () {
+      it('does not allow freezing the metadata', async function () {
+        try {
+          await contract.freezeMetadata()
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain('Not revealed yet.')
+      })
+    })
   })
 })
@@ -0,0 +1,214 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('chai')
+const { run } = require('hardhat')
+const { estimateAirdropGas, chunkAirdrop, airdropDigest } = require('../utilities/airdrop')
+
+describe('Airdrop', function () {
+  let dir
+  let contract
+  let owner
+  let recipients
+  let error
+
+  function writeFile(name, contents) {
+    const file = path.join(dir, name)
+    fs.writeFileSync(file, contents)
+    return file
+  }
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'airdrop-'))
+    ;[owner] = await ethers.getSigners()
+    recipients = Array.from({ length: 4 }, () => ethers.Wallet.createRandom().address)
+
+    const Token = await ethers.getContractFactory('MetaDaoNft')
+    contract = await Token.deploy([], owner.address, [], 'ipfs://example/')
+    await contract.deployed()
+    await contract.setProvenanceHash(ethers.utils.id('provenance'))
+    await contract.grantRole(await contract.FREE_MINTER_ROLE(), owner.address)
+    await contract.setMarketingReserve(20)
+  })
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+    error = undefined
+  })
+
+  describe('chunkAirdrop', function () {
+    it('fills each chunk up to the gas limit, in order', function () {
+      const entries = recipients.map((address) => ({ address, amount: 1 }))
+      const chunks = chunkAirdrop(entries, estimateAirdropGas(entries.slice(0, 3)))
+      expect(chunks).to.deep.equal([entries.slice(0, 3), entries.slice(3)])
+    })
+
+    it('fails for a recipient that does not fit on its own', function () {
+      expect(() => chunkAirdrop([{ address: recipients[0], amount: 100 }], 100000)).to.throw(
+        `Airdropping 100 tokens to ${recipients[0]} does not fit in 100000 gas.`
+      )
+    })
+  })
+
+  describe('airdrop task', function () {
+    let input
+    let oneRecipientGas
+
+    beforeEach(function () {
+      input = writeFile(
+        'recipients.csv',
+        [`${recipients[0]},3`, recipients[1], recipients[2], recipients[3]].join('\n')
+      )
+      oneRecipientGas = estimateAirdropGas([{ amount: 3 }])
+    })
+
+    it('airdrops to every recipient in chunks and records the progress', async function () {
+      const gasLimit = estimateAirdropGas([{ amount: 3 }, { amount: 1 }])
+      const progress = await run('airdrop', { input, address: contract.address, gasLimit })
+
+      expect(await contract.balanceOf(recipients[0])).to.equal(3)
+      for (const recipient of recipients.slice(1)) {
+        expect(await contract.balanceOf(recipient)).to.equal(1)
+      }
+      expect(progress.airdropped).to.equal(4)
+      expect(progress.transactions.map(({ from, to }) => [from, to])).to.deep.equal([
+        [0, 2],
+        [2, 4],
+      ])
+      expect(JSON.parse(fs.readFileSync(`${input}.progress.json`))).to.deep.equal(progress)
+    })
+
+    it('resumes after the last chunk that went through', async function () {
+      const Receiver = await ethers.getContractFactory('TokenReceiver')
+      const receiver = await Receiver.deploy()
+      await receiver.deployed()
+      input = writeFile('recipients.csv', [recipients[0], receiver.address, recipients[1]].join('\n'))
+
+      try {
+        await run('airdrop', { input, address: contract.address, gasLimit: oneRecipientGas })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('TokenReceiver: not accepting')
+      expect(JSON.parse(fs.readFileSync(`${input}.progress.json`)).airdropped).to.equal(1)
+
+      await receiver.setAccepting(true)
+      const progress = await run('airdrop', { input, address: contract.address, gasLimit: oneRecipientGas })
+
+      expect(progress.airdropped).to.equal(3)
+      expect(progress.transactions).to.have.length(3)
+      expect(await contract.balanceOf(recipients[0])).to.equal(1)
+      expect(await contract.balanceOf(receiver.address)).to.equal(1)
+      expect(await contract.balanceOf(recipients[1])).to.equal(1)
+    })
+
+    it('splits a chunk that a contract recipient takes over the gas limit', async function () {
+      const Receiver = await ethers.getContractFactory('TokenReceiver')
+      const receiver = await Receiver.deploy()
+      await receiver.deployed()
+      await receiver.setAccepting(true)
+      await receiver.setGasPerToken(100000)
+      input = writeFile('recipients.csv', [recipients[0], receiver.address, recipients[1], recipients[2]].join('\n'))
+
+      const gasLimit = estimateAirdropGas(Array.from({ length: 4 }, () => ({ amount: 1 })))
+      const progress = await run('airdrop', { input, address: contract.address, gasLimit })
+
+      expect(progress.airdropped).to.equal(4)
+      expect(progress.transactions.length).to.be.above(1)
+      for (const { hash } of progress.transactions) {
+        expect((await ethers.provider.getTransaction(hash)).gasLimit.toNumber()).to.be.at.most(gasLimit)
+      }
+      expect(await contract.balanceOf(receiver.address)).to.equal(1)
+    })
+
+    it('fails before sending to a contract recipient that does not fit on its own', async function () {
+      const Receiver = await ethers.getContractFactory('TokenReceiver')
+      const receiver = await Receiver.deploy()
+      await receiver.deployed()
+      await receiver.setAccepting(true)
+      await receiver.setGasPerToken(500000)
+      input = writeFile('recipients.csv', receiver.address)
+
+      try {
+        await run('airdrop', { input, address: contract.address, gasLimit: oneRecipientGas })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain(`Airdropping 1 tokens to ${receiver.address} needs`)
+      expect(error.message).to.contain(`gas, over ${oneRecipientGas}.`)
+      expect(await contract.balanceOf(receiver.address)).to.equal(0)
+    })
+
+    it('calls the second column the amount in errors', async function () {
+      input = writeFile('recipients.csv', [`${recipients[0]},0`, recipients[1], `${recipients[1]},2`].join('\n'))
+      try {
+        await run('airdrop', { input, address: contract.address })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain(`line 1: ${recipients[0]} has an invalid amount of 0`)
+      expect(error.message).to.contain(`line 3: ${recipients[1]} is already listed with an amount of 1`)
+    })
+
+    it('counts a transaction sent by an interrupted run once it is mined', async function () {
+      const tx = await contract.airdrop([recipients[0]], [3])
+      const entries = recipients.map((address, i) => ({ address, amount: i === 0 ? 3 : 1 }))
+      const { chainId } = await ethers.provider.getNetwork()
+      const pending = { from: 0, to: 1, hash: tx.hash }
+      fs.writeFileSync(
+        `${input}.progress.json`,
+        JSON.stringify({
+          contract: contract.address,
+          chainId,
+          digest: airdropDigest(entries),
+          airdropped: 0,
+          pending,
+          transactions: [],
+        })
+      )
+
+      const progress = await run('airdrop', { input, address: contract.address })
+      expect(progress.transactions[0]).to.deep.equal({ ...pending, blockNumber: tx.blockNumber })
+      expect(progress.airdropped).to.equal(4)
+      expect(await contract.balanceOf(recipients[0])).to.equal(3)
+    })
+
+    it('refuses to resume the progress of another list', async function () {
+      await run('airdrop', { input, address: contract.address })
+      fs.writeFileSync(input, recipients.join('\n'))
+      try {
+        await run('airdrop', { input, address: contract.address })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain(`${input}.progress.json is for another airdrop. Delete it to start over.`)
+    })
+
+    it('refuses to send more than the marketing reserve', async function () {
+      await contract.setMarketingReserve(5)
+      try {
+        await run('airdrop', { input, address: contract.address })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Airdropping 6 tokens needs more than the marketing reserve of 5.')
+      expect(fs.existsSync(`${input}.progress.json`)).to.equal(false)
+    })
+
+    it('refuses to send when the signer does not have the free minter role', async function () {
+      await contract.revokeRole(await contract.FREE_MINTER_ROLE(), owner.address)
+      try {
+        await run('airdrop', { input, address: contract.address })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain(`${owner.address} does not have FREE_MINTER_ROLE`)
+    })
+  })
+})
@@ -0,0 +1,205 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('chai')
+const { run } = require('hardhat')
+const { loadDeployConfig, constructorArgs } = require('../utilities/deployConfig')
+const { readDeployment } = require('../utilities/deployments')
+const { verifyDeployment } = require('../utilities/verification')
+const { CONFIRMATION_CHAIN_IDS, diffConstructorArgs, runPreflight } = require('../utilities/preflight')
+
+describe('deploy', function () {
+  let dir
+  let deployments
+  let exportDir
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-'))
+    deployments = path.join(dir, 'deployments')
+    exportDir = path.join(dir, 'contracts')
+  })
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('deploys with the network config, records the deployment and exports it', async function () {
+    const record = await run('deploy', { deployments, exportDir })
+    const contract = await ethers.getContractAt('MetaDaoNft', record.address)
+    const config = loadDeployConfig('hardhat')
+
+    expect(record.constructorArgs).to.deep.equal(constructorArgs(config))
+    expect(await contract.hasRole(await contract.ARTIST_ROLE(), config.artist)).to.equal(true)
+    expect(readDeployment('hardhat', 'MetaDaoNft', deployments)).to.deep.equal(record)
+    expect(JSON.parse(fs.readFileSync(path.join(exportDir, 'contract-address.json')))).to.deep.equal({
+      MetaDaoNft: { 31337: record.address },
+    })
+  })
+
+  it('skips verification on the hardhat network and records it', async function () {
+    const record = await run('deploy', { deployments, exportDir, verify: true })
+    expect(record.verification).to.deep.equal({ status: 'skipped', confirmations: 0 })
+    expect(readDeployment('hardhat', 'MetaDaoNft', deployments).verification.status).to.equal('skipped')
+  })
+
+  it('simulates the deployment without broadcasting on a dry run', async function () {
+    const blockNumber = await ethers.provider.getBlockNumber()
+    const preflight = await run('deploy', { deployments, exportDir, dryRun: true })
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber)
+    expect(preflight.gas.gt(0)).to.equal(true)
+    expect(preflight.cost).to.deep.equal(preflight.gas.mul(preflight.feePerGas))
+    expect(fs.existsSync(deployments)).to.equal(false)
+    expect(fs.existsSync(exportDir)).to.equal(false)
+  })
+
+  it('diffs the preflight against the last deployment', async function () {
+    const record = await run('deploy', { deployments, exportDir })
+    const preflight = await run('deploy', { deployments, exportDir, dryRun: true })
+
+    expect(preflight.previous).to.equal(record.address)
+    expect(preflight.changes).to.deep.equal([])
+    expect(preflight.bytecodeChanged).to.equal(false)
+  })
+
+  describe('on a fork', function () {
+    // The deployer of the forked network, as networksFrom sets it from the network's key.
+    const deployer = new ethers.Wallet('22'.repeat(32)).address
+    const balance = ethers.utils.parseEther('0.5')
+
+    beforeEach(async function () {
+      network.config.deployer = deployer
+      await network.provider.send('hardhat_setBalance', [deployer, ethers.utils.hexValue(balance)])
+    })
+
+    afterEach(function () {
+      delete network.config.deployer
+    })
+
+    it('runs the preflight as the deployer of the forked network', async function () {
+      const preflight = await run('deploy', { deployments, exportDir, dryRun: true })
+
+      expect(preflight.deployer).to.equal(deployer)
+      expect(preflight.balance).to.equal(balance)
+    })
+  })
+
+  describe('on a network that requires confirmation', function () {
+    beforeEach(function () {
+      CONFIRMATION_CHAIN_IDS.push(31337)
+    })
+
+    afterEach(function () {
+      CONFIRMATION_CHAIN_IDS.pop()
+    })
+
+    it('refuses to deploy without --confirm', async function () {
+      const blockNumber = await ethers.provider.getBlockNumber()
+      let error
+      try {
+        await run('deploy', { deployments, exportDir })
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('Deploying to hardhat requires --confirm')
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber)
+    })
+
+    it('deploys with --confirm', async function () {
+      const record = await run('deploy', { deployments, exportDir, confirm: true })
+      expect(readDeployment('hardhat', 'MetaDaoNft', deployments)).to.deep.equal(record)
+    })
+  })
+
+  describe('runPreflight', function () {
+    it('fails when the deployer cannot cover the deploy cost', async function () {
+      const deployer = ethers.Wallet.createRandom().connect(ethers.provider)
+      const factory = await ethers.getContractFactory('MetaDaoNft', deployer)
+      let error
+      try {
+        await runPreflight({ factory, args: constructorArgs(loadDeployConfig('hardhat')) })
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain(`Deployer ${deployer.address} has 0.0 ETH but the deploy may cost up to`)
+    })
+  })
+
+  describe('diffConstructorArgs', function () {
+    it('lists added and removed addresses and changed values', function () {
+      const previous = [['0xA', '0xB'], '0xArtist', ['0xS'], 'ipfs://old/']
+      const next = [['0xb', '0xC'], '0xArtist', ['0xS', '0xT'], 'ipfs://new/']
+
+      expect(diffConstructorArgs(previous, next)).to.deep.equal([
+        'founders: + 0xC',
+        'founders: - 0xA',
+        'staff: + 0xT',
+        'placeholderURI: ipfs://old/ -> ipfs://new/',
+      ])
+    })
+
+    it('is empty when nothing changed', function () {
+      const args = constructorArgs(loadDeployConfig('mainnet'))
+      expect(diffConstructorArgs(args, args)).to.deep.equal([])
+    })
+  })
+
+  describe('verifyDeployment', function () {
+    let record
+    let provider
+    let calls
+
+    function stubRun(error) {
+      return async (name, args) => {
+        calls.push({ name, args })
+        if (error) throw new Error(error)
+      }
+    }
+
+    beforeEach(function () {
+      calls = []
+      record = {
+        network: 'rinkeby',
+        address: '0x0000000000000000000000000000000000000004',
+        transactionHash: '0x1234',
+        constructorArgs: constructorArgs(loadDeployConfig('rinkeby')),
+      }
+      provider = {
+        waitForTransaction: async (hash, confirmations) => calls.push({ name: 'wait', args: { hash, confirmations } }),
+      }
+    })
+
+    it('waits for confirmations then verifies with the deployed constructor args', async function () {
+      const verification = await verifyDeployment({ record, run: stubRun(), provider, confirmations: 3 })
+
+      expect(calls).to.deep.equal([
+        { name: 'wait', args: { hash: '0x1234', confirmations: 3 } },
+        {
+          name: 'verify:verify',
+          args: { address: record.address, constructorArguments: record.constructorArgs },
+        },
+      ])
+      expect(verification.status).to.equal('verified')
+      expect(verification.confirmations).to.equal(3)
+    })
+
+    it('treats an already verified contract as verified', async function () {
+      const run = stubRun('Contract source code already verified')
+      const verification = await verifyDeployment({ record, run, provider, confirmations: 1 })
+      expect(verification.status).to.equal('verified')
+    })
+
+    it('records a failed verification instead of throwing', async function () {
+      const run = stubRun('Invalid API Key')
+      const verification = await verifyDeployment({ record, run, provider, confirmations: 1 })
+      expect(verification).to.deep.equal({ status: 'failed', confirmations: 1, error: 'Invalid API Key' })
+    })
+
+    it('skips local networks', async function () {
+      record.network = 'localhost'
+      const verification = await verifyDeployment({ record, run: stubRun(), provider, confirmations: 5 })
+      expect(verification).to.deep.equal({ status: 'skipped', confirmations: 0 })
+      expect(calls).to.deep.equal([])
+    })
+  })
+})
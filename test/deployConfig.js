@@ -0,0 +1,104 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('chai')
+const { validateDeployConfig, loadDeployConfig, constructorArgs } = require('../utilities/deployConfig')
+const { decodeTokenURI, validateMetadata } = require('../utilities/metadata')
+
+describe('Deployment config', function () {
+  let config
+  let error
+
+  beforeEach(function () {
+    config = JSON.parse(JSON.stringify(loadDeployConfig('localhost')))
+  })
+
+  afterEach(() => {
+    error = undefined
+  })
+
+  function validationError(config) {
+    try {
+      validateDeployConfig(config, 'test.json')
+      throw new Error('was not supposed to succeed')
+    } catch (err) {
+      return err
+    }
+  }
+
+  it('loads a valid config for every network in config/', function () {
+    fs.readdirSync(path.join(__dirname, '..', 'config')).forEach((file) => {
+      const network = path.basename(file, '.json')
+      expect(() => loadDeployConfig(network)).not.to.throw()
+    })
+  })
+
+  it('falls back to the localhost config for the hardhat network', function () {
+    expect(loadDeployConfig('hardhat')).to.deep.equal(loadDeployConfig('localhost'))
+  })
+
+  it('generates an error for a network without a config', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-config-'))
+    try {
+      loadDeployConfig('goerli', dir)
+    } catch (err) {
+      error = err
+    }
+    fs.rmSync(dir, { recursive: true, force: true })
+    expect(error.message).to.contain('No deployment config for network "goerli"')
+  })
+
+  it('rejects addresses that are not checksummed', function () {
+    config.artist = config.artist.toLowerCase()
+    expect(validationError(config).message).to.contain('artist is not checksummed')
+  })
+
+  it('rejects invalid addresses', function () {
+    config.staff.staff1 = '0x1234'
+    expect(validationError(config).message).to.contain('staff "staff1" is not a valid address: 0x1234')
+  })
+
+  it('rejects duplicate founders', function () {
+    config.founders.push(config.founders[0])
+    expect(validationError(config).message).to.contain(
+      `founders[2] ${config.founders[0]} is already listed as founders[0]`
+    )
+  })
+
+  it('rejects an address listed as both staff and founder', function () {
+    config.staff.staff1 = config.founders[1]
+    expect(validationError(config).message).to.contain('is already listed as founders[1]')
+  })
+
+  it('rejects a missing placeholderURI', function () {
+    delete config.placeholderURI
+    expect(validationError(config).message).to.contain('placeholderURI must be a non-empty string')
+  })
+
+  it('rejects a placeholderURI that is a directory', function () {
+    config.placeholderURI = 'ipfs://QmVh3U21k4ua2bL57okRfLR1KHpevDBdXmhwQRK6AyxBgq/'
+    expect(validationError(config).message).to.contain('placeholderURI must be the URI of a metadata file')
+  })
+
+  it('gives the live networks a placeholder that is valid metadata', function () {
+    for (const network of ['mainnet', 'rinkeby', 'ropsten']) {
+      const { metadata } = decodeTokenURI(loadDeployConfig(network).placeholderURI)
+      expect(validateMetadata(metadata)).to.deep.equal([])
+    }
+  })
+
+  it('deploys the contract with the constructor args it describes', async function () {
+    const Token = await ethers.getContractFactory('MetaDaoNft')
+    const contract = await Token.deploy(...constructorArgs(config))
+    await contract.deployed()
+
+    for (const founder of config.founders) {
+      expect(await contract.hasRole(await contract.FOUNDER_ROLE(), founder)).to.equal(true)
+      expect(await contract.staffAllocations(founder)).to.equal(20)
+    }
+    expect(await contract.hasRole(await contract.ARTIST_ROLE(), config.artist)).to.equal(true)
+    for (const address of Object.values(config.staff)) {
+      expect(await contract.staffAllocations(address)).to.equal(5)
+    }
+  })
+})
@@ -0,0 +1,74 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('chai')
+const { artifacts } = require('hardhat')
+const { loadDeployConfig, constructorArgs } = require('../utilities/deployConfig')
+const { deploymentPath, createDeploymentRecord, saveDeployment, readDeployment } = require('../utilities/deployments')
+
+describe('Deployment records', function () {
+  let dir
+  let args
+  let error
+
+  async function deployAndRecord() {
+    const Token = await ethers.getContractFactory('MetaDaoNft')
+    const contract = await Token.deploy(...args)
+    await contract.deployed()
+    return createDeploymentRecord({ contract, args, artifacts, network: 'hardhat' })
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'))
+    args = constructorArgs(loadDeployConfig('hardhat'))
+  })
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+    error = undefined
+  })
+
+  it('records the deployment details', async function () {
+    const [deployer] = await ethers.getSigners()
+    const record = await deployAndRecord()
+    const receipt = await ethers.provider.getTransactionReceipt(record.transactionHash)
+    const artifact = await artifacts.readArtifact('MetaDaoNft')
+
+    expect(record.contractName).to.equal('MetaDaoNft')
+    expect(record.network).to.equal('hardhat')
+    expect(record.chainId).to.equal(31337)
+    expect(record.address).to.equal(receipt.contractAddress)
+    expect(record.blockNumber).to.equal(receipt.blockNumber)
+    expect(record.deployer).to.equal(deployer.address)
+    expect(record.constructorArgs).to.deep.equal(args)
+    expect(record.compiler.version).to.match(/^0\.8\.9\+commit/)
+    expect(record.compiler.settings.optimizer).to.deep.equal({ enabled: true, runs: 1 })
+    expect(record.bytecodeHash).to.equal(ethers.utils.keccak256(artifact.bytecode))
+  })
+
+  it('saves the record as the current deployment for the network', async function () {
+    const record = await deployAndRecord()
+    expect(saveDeployment(record, dir)).to.equal(deploymentPath('hardhat', 'MetaDaoNft', dir))
+    expect(readDeployment('hardhat', 'MetaDaoNft', dir)).to.deep.equal(record)
+  })
+
+  it('archives the previous deployment', async function () {
+    const first = await deployAndRecord()
+    const second = await deployAndRecord()
+    saveDeployment(first, dir)
+    saveDeployment(second, dir)
+
+    const archived = path.join(dir, 'hardhat', 'archive', `MetaDaoNft-${first.blockNumber}.json`)
+    expect(JSON.parse(fs.readFileSync(archived))).to.deep.equal(first)
+    expect(readDeployment('hardhat', 'MetaDaoNft', dir)).to.deep.equal(second)
+  })
+
+  it('generates an error when no deployment is recorded', function () {
+    try {
+      readDeployment('rinkeby', 'MetaDaoNft', dir)
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.contain('No MetaDaoNft deployment recorded for network "rinkeby"')
+  })
+})
@@ -0,0 +1,92 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('chai')
+const { run, artifacts } = require('hardhat')
+
+describe('export', function () {
+  let dir
+  let out
+  let deployments
+  let artifact
+  let error
+
+  function writeRecord(network, chainId, address) {
+    fs.mkdirSync(path.join(deployments, network), { recursive: true })
+    fs.writeFileSync(
+      path.join(deployments, network, 'MetaDaoNft.json'),
+      JSON.stringify({ contractName: 'MetaDaoNft', network, chainId, address })
+    )
+  }
+
+  function readOut(name) {
+    return fs.readFileSync(path.join(out, name), 'utf8')
+  }
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'))
+    out = path.join(dir, 'frontend', 'src', 'contracts')
+    deployments = path.join(dir, 'deployments')
+    artifact = await artifacts.readArtifact('MetaDaoNft')
+    writeRecord('mainnet', 1, '0x0000000000000000000000000000000000000001')
+    writeRecord('rinkeby', 4, '0x0000000000000000000000000000000000000004')
+  })
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+    error = undefined
+  })
+
+  it('creates the output directory and writes only the ABI by default', async function () {
+    await run('export', { out, deployments })
+
+    expect(JSON.parse(readOut('MetaDaoNft.json'))).to.deep.equal({ contractName: 'MetaDaoNft', abi: artifact.abi })
+    expect(JSON.parse(readOut('contract-address.json'))).to.deep.equal({
+      MetaDaoNft: {
+        1: '0x0000000000000000000000000000000000000001',
+        4: '0x0000000000000000000000000000000000000004',
+      },
+    })
+  })
+
+  it('writes the full artifact', async function () {
+    await run('export', { out, deployments, format: 'artifact' })
+    expect(JSON.parse(readOut('MetaDaoNft.json'))).to.deep.equal(artifact)
+  })
+
+  it('writes a JS module exporting addresses and ABI', async function () {
+    await run('export', { out, deployments, format: 'js' })
+    const source = readOut('MetaDaoNft.js')
+
+    expect(source).to.contain('export const addresses = {')
+    expect(source).to.contain('"4": "0x0000000000000000000000000000000000000004"')
+    expect(source).to.contain(`export const abi = ${JSON.stringify(artifact.abi, undefined, 2)}\n`)
+    expect(fs.existsSync(path.join(out, 'contract-address.json'))).to.equal(false)
+  })
+
+  it('writes a typed TS module', async function () {
+    await run('export', { out, deployments, format: 'ts' })
+    const source = readOut('MetaDaoNft.ts')
+
+    expect(source).to.contain('export const addresses: { [chainId: number]: string } = {')
+    expect(source).to.contain(' as const\n')
+  })
+
+  it('copies the whitelist merkle tree module', async function () {
+    const utilities = path.join(dir, 'frontend', 'src', 'utilities')
+    await run('export', { out, deployments, utilities })
+    expect(fs.readFileSync(path.join(utilities, 'merkleTrees.js'), 'utf8')).to.equal(
+      fs.readFileSync(path.join(__dirname, '..', 'utilities', 'merkleTrees.js'), 'utf8')
+    )
+  })
+
+  it('generates an error for an unknown format', async function () {
+    try {
+      await run('export', { out, deployments, format: 'yaml' })
+      throw new Error('was not supposed to succeed')
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.contain('Unknown export format "yaml"')
+  })
+})
@@ -0,0 +1,199 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('chai')
+const { run } = require('hardhat')
+const { loadDeployConfig, constructorArgs } = require('../utilities/deployConfig')
+const { readDeployment } = require('../utilities/deployments')
+const { decodeDataURI, decodeTokenURI, validateMetadata } = require('../utilities/metadata')
+
+describe('Metadata', function () {
+  let contract
+  let owner
+  let buyer
+  let config
+  let dir
+  let error
+
+  beforeEach(async function () {
+    ;[owner] = await ethers.getSigners()
+    buyer = (await ethers.getSigners())[9]
+    config = loadDeployConfig('hardhat')
+    const Token = await ethers.getContractFactory('MetaDaoNft')
+    contract = await Token.deploy(...constructorArgs(config))
+    await contract.deployed()
+    await contract.setProvenanceHash(ethers.utils.id('provenance'))
+    await contract.grantRole(await contract.FREE_MINTER_ROLE(), owner.address)
+    await contract.setMarketingReserve(3)
+    await contract.airdrop([owner.address], [3])
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+    error = undefined
+  })
+
+  describe('metadata:onchain', function () {
+    it('deploys and records a renderer and switches the contract to it', async function () {
+      await contract.reveal('ipfs://revealed/')
+      const { renderer, receipt } = await run('metadata:onchain', { address: contract.address, deployments: dir })
+
+      expect(receipt.status).to.equal(1)
+      expect(await contract.renderer()).to.equal(renderer)
+      expect(readDeployment('hardhat', 'MetaDaoNftRenderer', dir).address).to.equal(renderer)
+      expect(await contract.tokenURI(0)).to.match(/^data:application\/json;base64,/)
+    })
+
+    it('uses an already deployed renderer', async function () {
+      const Renderer = await ethers.getContractFactory('MetaDaoNftRenderer')
+      const renderer = await Renderer.deploy()
+      await run('metadata:onchain', { address: contract.address, renderer: renderer.address, deployments: dir })
+
+      expect(await contract.renderer()).to.equal(renderer.address)
+      expect(fs.readdirSync(dir)).to.deep.equal([])
+    })
+
+    it('refuses to run if the signer is not a metadata manager', async function () {
+      const Token = await ethers.getContractFactory('MetaDaoNft', buyer)
+      contract = await Token.deploy(...constructorArgs(config))
+      await contract.deployed()
+
+      try {
+        await run('metadata:onchain', { address: contract.address, deployments: dir })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain(`${owner.address} does not have METADATA_MANAGER_ROLE`)
+      expect(fs.readdirSync(dir)).to.deep.equal([])
+    })
+
+    it('refuses to run once the metadata is frozen', async function () {
+      const Token = await ethers.getContractFactory('MetaDaoNft')
+      contract = await Token.deploy(...constructorArgs(config))
+      await contract.setProvenanceHash(ethers.utils.id('provenance'))
+      await contract.reveal('ipfs://revealed/')
+      await contract.freezeMetadata()
+
+      try {
+        await run('metadata:onchain', { address: contract.address, deployments: dir })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain(`The metadata of ${contract.address} is frozen.`)
+    })
+  })
+
+  describe('metadata:ipfs', function () {
+    it('switches the contract back to its URIs', async function () {
+      await run('metadata:onchain', { address: contract.address, deployments: dir })
+      await run('metadata:ipfs', { address: contract.address })
+
+      expect(await contract.renderer()).to.equal(ethers.constants.AddressZero)
+      expect(await contract.tokenURI(0)).to.equal(config.placeholderURI)
+    })
+  })
+
+  describe('metadata:show', function () {
+    it('prints the URI of a token rendered off-chain', async function () {
+      expect(await run('metadata:show', { tokenId: 0, address: contract.address })).to.deep.equal({
+        uri: config.placeholderURI,
+      })
+    })
+
+    describe('with on-chain metadata', function () {
+      let renderer
+      let positionOf
+
+      beforeEach(async function () {
+        await contract.reveal('ipfs://revealed/')
+        ;({ renderer } = await run('metadata:onchain', { address: contract.address, deployments: dir }))
+        renderer = await ethers.getContractAt('MetaDaoNftRenderer', renderer)
+
+        const startingIndex = await contract.startingIndex()
+        const maxMints = await contract.MAX_MINTS()
+        positionOf = (tokenId) => startingIndex.add(tokenId).mod(maxMints)
+      })
+
+      it('decodes metadata that matches the schema', async function () {
+        const { metadata, problems } = await run('metadata:show', { tokenId: 2, address: contract.address })
+
+        expect(problems).to.deep.equal([])
+        expect(metadata.name).to.equal('Meta DAO NFT #3')
+        expect(metadata.description).to.equal('A membership token of the Meta DAO.')
+        expect(metadata.image).to.match(/^data:image\/svg\+xml;base64,/)
+      })
+
+      it('lists the member number and the traits of the token', async function () {
+        const { metadata } = await run('metadata:show', { tokenId: 2, address: contract.address })
+        const [background, , rings] = await renderer.traits(positionOf(2))
+
+        expect(metadata.attributes).to.deep.equal([
+          { trait_type: 'Member Number', display_type: 'number', value: 3 },
+          { trait_type: 'Background', value: background },
+          { trait_type: 'Rings', value: rings.toNumber() },
+        ])
+      })
+
+      it('draws an SVG of the traits', async function () {
+        const { svg } = await run('metadata:show', { tokenId: 0, address: contract.address })
+        const [, color, rings] = await renderer.traits(positionOf(0))
+
+        expect(svg).to.match(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox="0 0 350 350">.*<\/svg>$/)
+        expect(svg).to.contain(`fill="${color}"`)
+        expect(svg.match(/<circle /g).length).to.equal(rings.toNumber())
+        expect(svg).to.contain('>Meta DAO #1</text>')
+      })
+
+      it('takes the traits from the position, so they change with the starting index', async function () {
+        const atFirst = decodeTokenURI(await renderer.tokenURI(5, 0)).metadata
+        const atSecond = decodeTokenURI(await renderer.tokenURI(5, 1)).metadata
+
+        expect(atFirst.name).to.equal(atSecond.name)
+        expect(atFirst.attributes).to.not.deep.equal(atSecond.attributes)
+      })
+
+      it('gives every rings trait a value from 1 to MAX_RINGS', async function () {
+        const maxRings = (await renderer.MAX_RINGS()).toNumber()
+        for (let position = 0; position < 20; position++) {
+          const [, , rings] = await renderer.traits(position)
+          expect(rings.toNumber()).to.be.within(1, maxRings)
+        }
+      })
+    })
+  })
+
+  describe('decodeDataURI', function () {
+    it('rejects URIs that are not base64 data URIs', function () {
+      expect(() => decodeDataURI('ipfs://example/1')).to.throw('Not a base64 data URI: ipfs://example/1')
+    })
+  })
+
+  describe('decodeTokenURI', function () {
+    it('rejects metadata that is not JSON', function () {
+      expect(() => decodeTokenURI('data:text/plain;base64,aGk=')).to.throw(
+        'Expected application/json metadata, got text/plain.'
+      )
+    })
+  })
+
+  describe('validateMetadata', function () {
+    it('lists every problem with the metadata', function () {
+      const problems = validateMetadata({
+        name: 'Meta DAO NFT #1',
+        image: '',
+        attributes: [{ trait_type: 'Member Number', display_type: 'number', value: '1' }, { value: {} }],
+      })
+
+      expect(problems).to.deep.equal([
+        'description must be a non-empty string',
+        'image must be a non-empty string',
+        'attributes[0].value must be a number to display as one',
+        'attributes[1].trait_type must be a string',
+        'attributes[1].value must be a string or a number',
+      ])
+    })
+  })
+})
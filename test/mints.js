@@ -0,0 +1,118 @@
+const { expect } = require('chai')
+const { utils } = require('ethers')
+const { MINTED_TOPIC, decodeMints, fetchMints } = require('../utilities/mints')
+
+describe('Mints', function () {
+  let contract
+  let owner
+  let staff
+  let buyer
+  let price
+
+  beforeEach(async function () {
+    ;[owner, staff, buyer] = await ethers.getSigners()
+    const Token = await ethers.getContractFactory('MetaDaoNft')
+    contract = await Token.deploy([], owner.address, [staff.address], 'ipfs://example/')
+    await contract.deployed()
+    await contract.setProvenanceHash(ethers.utils.id('provenance'))
+    price = await contract.PRICE()
+
+    await contract.grantRole(await contract.FREE_MINTER_ROLE(), owner.address)
+    await contract.setMarketingReserve(3)
+    await contract.allowPublicMinting()
+  })
+
+  describe('decodeMints', function () {
+    it('decodes the Minted event of the contract', function () {
+      expect(MINTED_TOPIC).to.equal(contract.interface.getEventTopic('Minted'))
+    })
+
+    it('turns the Minted logs of a receipt into sale records', async function () {
+      const tx = await contract.connect(buyer).mint(owner.address, 2, 0, [], { value: price.mul(3) })
+      const receipt = await tx.wait()
+
+      expect(decodeMints(receipt.logs, contract.address)).to.deep.equal([
+        {
+          contract: contract.address,
+          transactionHash: tx.hash,
+          blockNumber: receipt.blockNumber,
+          logIndex: receipt.logs.find(({ topics }) => topics[0] === MINTED_TOPIC).logIndex,
+          recipient: owner.address,
+          minter: buyer.address,
+          tokenIds: [0, 1],
+          quantity: 2,
+          pricePaid: price.mul(2),
+          phase: utils.id('PUBLIC_PHASE'),
+          phaseName: 'PUBLIC_PHASE',
+        },
+      ])
+    })
+
+    it('names scheduled phases it is given', async function () {
+      const now = (await ethers.provider.getBlock('latest')).timestamp
+      const phase = {
+        id: utils.id('presale'),
+        price: price.div(2),
+        startTime: now,
+        endTime: now + 3600,
+        maxPerTx: 5,
+        maxPerWallet: 5,
+        merkleRoot: ethers.constants.HashZero,
+      }
+      await contract.setSalePhases([phase])
+      const tx = await contract.connect(buyer).mint(buyer.address, 1, 0, [], { value: phase.price })
+
+      const [record] = decodeMints((await tx.wait()).logs, contract.address, ['presale'])
+      expect(record.phaseName).to.equal('presale')
+      expect(record.pricePaid).to.equal(phase.price)
+    })
+
+    it('skips the Minted logs of other contracts', async function () {
+      const Token = await ethers.getContractFactory('MetaDaoNft')
+      const other = await Token.deploy([], owner.address, [staff.address], 'ipfs://example/')
+      await other.setProvenanceHash(ethers.utils.id('provenance'))
+      await other.allowPublicMinting()
+      const otherTx = await other.connect(buyer).mint(buyer.address, 1, 0, [], { value: price })
+      const tx = await contract.connect(buyer).mint(buyer.address, 2, 0, [], { value: price.mul(2) })
+      const logs = (await otherTx.wait()).logs.concat((await tx.wait()).logs)
+
+      expect(decodeMints(logs, contract.address).map((record) => record.tokenIds)).to.deep.equal([[0, 1]])
+      expect(decodeMints(logs, other.address).map((record) => record.tokenIds)).to.deep.equal([[0]])
+    })
+  })
+
+  describe('fetchMints', function () {
+    beforeEach(async function () {
+      await contract.connect(buyer).mint(buyer.address, 2, 0, [], { value: price.mul(2) })
+      await contract.connect(staff).staffMint(5)
+      await contract.airdrop([buyer.address, staff.address], [1, 2])
+    })
+
+    it('reads back every mint, however it was minted', async function () {
+      const records = await fetchMints(contract)
+
+      expect(
+        records.map(({ phaseName, minter, recipient, tokenIds }) => [phaseName, minter, recipient, tokenIds])
+      ).to.deep.equal([
+        ['PUBLIC_PHASE', buyer.address, buyer.address, [0, 1]],
+        ['STAFF_PHASE', staff.address, staff.address, [2, 3, 4, 5, 6]],
+        ['AIRDROP_PHASE', owner.address, buyer.address, [7]],
+        ['AIRDROP_PHASE', owner.address, staff.address, [8, 9]],
+      ])
+      expect(records.map(({ pricePaid }) => pricePaid.toString())).to.deep.equal([
+        price.mul(2).toString(),
+        '0',
+        '0',
+        '0',
+      ])
+    })
+
+    it('filters by recipient and minter', async function () {
+      const toBuyer = await fetchMints(contract, { recipient: buyer.address })
+      expect(toBuyer.map(({ tokenIds }) => tokenIds)).to.deep.equal([[0, 1], [7]])
+
+      const byOwner = await fetchMints(contract, { minter: owner.address })
+      expect(byOwner.map(({ recipient }) => recipient)).to.deep.equal([buyer.address, staff.address])
+    })
+  })
+})
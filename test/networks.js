@@ -0,0 +1,98 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('chai')
+const { loadSecrets, networksFrom, assertNetworkConfigured, targetNetwork } = require('../utilities/networks')
+
+describe('Network secrets', function () {
+  const privateKey = '11'.repeat(32)
+  let dir
+  let file
+  let error
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-'))
+    file = path.join(dir, 'secrets.json')
+  })
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+    error = undefined
+  })
+
+  describe('loadSecrets', function () {
+    it('tolerates a missing secrets file', function () {
+      expect(loadSecrets({}, file)).to.deep.equal({})
+    })
+
+    it('reads the secrets file', function () {
+      fs.writeFileSync(file, JSON.stringify({ rinkebyAlchemyKey: 'file-key', etherscanApiKey: 'scan' }))
+      expect(loadSecrets({}, file)).to.deep.equal({ rinkebyAlchemyKey: 'file-key', etherscanApiKey: 'scan' })
+    })
+
+    it('prefers environment variables over the secrets file', function () {
+      fs.writeFileSync(file, JSON.stringify({ rinkebyAlchemyKey: 'file-key' }))
+      expect(loadSecrets({ RINKEBY_ALCHEMY_KEY: 'env-key' }, file)).to.deep.equal({ rinkebyAlchemyKey: 'env-key' })
+    })
+  })
+
+  describe('networksFrom', function () {
+    it('registers no remote networks without secrets', function () {
+      const { networks, missing } = networksFrom({})
+      expect(networks).to.deep.equal({})
+      expect(missing.mainnet).to.deep.equal(['mainnetAlchemyKey', 'prodWalletPrivateKey'])
+    })
+
+    it('registers only the networks whose secrets are present', function () {
+      const { networks, missing } = networksFrom({ rinkebyAlchemyKey: 'key', testWalletPrivateKey: privateKey })
+      expect(Object.keys(networks)).to.deep.equal(['rinkeby'])
+      expect(networks.rinkeby).to.deep.equal({
+        url: 'https://eth-rinkeby.alchemyapi.io/v2/key',
+        accounts: [`0x${privateKey}`],
+      })
+      expect(missing.ropsten).to.deep.equal(['ropsteinAlchemyKey'])
+    })
+
+    it('forks a configured network from the hardhat network', function () {
+      const { networks } = networksFrom({ mainnetAlchemyKey: 'key', prodWalletPrivateKey: privateKey }, 'mainnet')
+      expect(networks.hardhat).to.deep.equal({
+        forking: { url: 'https://eth-mainnet.alchemyapi.io/v2/key' },
+        deployer: new ethers.Wallet(privateKey).address,
+      })
+    })
+
+    it('does not fork a network that is not configured', function () {
+      expect(networksFrom({}, 'mainnet').networks.hardhat).to.equal(undefined)
+    })
+  })
+
+  describe('assertNetworkConfigured', function () {
+    it('names the missing secrets of an unconfigured network', function () {
+      try {
+        assertNetworkConfigured('mainnet', networksFrom({ mainnetAlchemyKey: 'key' }).missing)
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.equal(
+        'Network "mainnet" is not configured. Missing: PROD_WALLET_PRIVATE_KEY (or "prodWalletPrivateKey" in secrets.json)'
+      )
+    })
+
+    it('allows local and configured networks', function () {
+      const { missing } = networksFrom({})
+      expect(() => assertNetworkConfigured(undefined, missing)).not.to.throw()
+      expect(() => assertNetworkConfigured('localhost', missing)).not.to.throw()
+    })
+  })
+
+  describe('targetNetwork', function () {
+    it('reads the --network argument', function () {
+      expect(targetNetwork(['node', 'hardhat', '--network', 'rinkeby', 'deploy'], {})).to.equal('rinkeby')
+      expect(targetNetwork(['node', 'hardhat', '--network=mainnet', 'deploy'], {})).to.equal('mainnet')
+    })
+
+    it('falls back to HARDHAT_NETWORK', function () {
+      expect(targetNetwork(['node', 'hardhat', 'test'], { HARDHAT_NETWORK: 'ropsten' })).to.equal('ropsten')
+    })
+  })
+})
@@ -0,0 +1,272 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('chai')
+const { run } = require('hardhat')
+const { loadDeployConfig, constructorArgs } = require('../utilities/deployConfig')
+const { parseSalePhases } = require('../utilities/salePhases')
+
+describe('Sale tasks', function () {
+  let contract
+  let owner
+  let founder
+  let buyer
+  let config
+  let error
+
+  beforeEach(async function () {
+    ;[owner, founder] = await ethers.getSigners()
+    buyer = (await ethers.getSigners())[9]
+    config = loadDeployConfig('hardhat')
+    expect(config.founders[0]).to.equal(founder.address)
+    const Token = await ethers.getContractFactory('MetaDaoNft')
+    contract = await Token.deploy(...constructorArgs(config))
+    await contract.deployed()
+    await contract.setProvenanceHash(ethers.utils.id('provenance'))
+  })
+
+  afterEach(() => {
+    error = undefined
+  })
+
+  describe('sale:status', function () {
+    it('reports the initial state of the sale', async function () {
+      const status = await run('sale:status', { address: contract.address })
+
+      expect(status.paused).to.equal(false)
+      expect(status.isPublicMintingAllowed).to.equal(false)
+      expect(status.totalSupply).to.equal(0)
+      expect(status.maxMints).to.equal(4444)
+      expect(status.reservedMints).to.equal(70)
+      expect(status.availableMints).to.equal(4374)
+      expect(status.balance).to.equal(0)
+      expect(status.whitelistRoot).to.equal(undefined)
+      expect(status.allocations).to.deep.equal([
+        { name: 'founder 1', address: config.founders[0], remaining: 20 },
+        { name: 'founder 2', address: config.founders[1], remaining: 20 },
+        { name: 'artist', address: config.artist, remaining: 20 },
+        { name: 'staff1', address: config.staff.staff1, remaining: 5 },
+        { name: 'staff2', address: config.staff.staff2, remaining: 5 },
+      ])
+    })
+
+    it('reports sales, the whitelist root and claimed allocations', async function () {
+      const root = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('root'))
+      const price = await contract.PRICE()
+      await contract.updateWhitelist(root)
+      await contract.allowPublicMinting()
+      await contract.connect(buyer).mint(buyer.address, 2, 0, [], { value: price.mul(2) })
+      await contract.connect(founder).staffMint(20)
+      await contract.setMarketingReserve(10)
+
+      const status = await run('sale:status', { address: contract.address })
+
+      expect(status.isPublicMintingAllowed).to.equal(true)
+      expect(status.totalSupply).to.equal(22)
+      expect(status.reservedMints).to.equal(50)
+      expect(status.marketingReserve).to.equal(10)
+      expect(status.availableMints).to.equal(4362)
+      expect(status.balance).to.equal(price.mul(2))
+      expect(status.whitelistRoot).to.equal(root)
+      expect(status.allocations[0].remaining).to.equal(0)
+    })
+  })
+
+  describe('sale:open', function () {
+    it('opens the public sale and returns the receipt', async function () {
+      const receipt = await run('sale:open', { address: contract.address })
+      expect(receipt.status).to.equal(1)
+      expect(await contract.isPublicMintingAllowed()).to.equal(true)
+    })
+
+    it('does nothing if the sale is already open', async function () {
+      await contract.allowPublicMinting()
+      const blockNumber = await ethers.provider.getBlockNumber()
+      expect(await run('sale:open', { address: contract.address })).to.equal(undefined)
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber)
+    })
+
+    it('refuses to run if the signer is not a sale manager', async function () {
+      const Token = await ethers.getContractFactory('MetaDaoNft', buyer)
+      contract = await Token.deploy(...constructorArgs(config))
+      await contract.deployed()
+
+      try {
+        await run('sale:open', { address: contract.address })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain(`${owner.address} does not have SALE_MANAGER_ROLE`)
+      expect(await contract.isPublicMintingAllowed()).to.equal(false)
+    })
+  })
+
+  describe('sale:close', function () {
+    it('closes the public sale', async function () {
+      await contract.allowPublicMinting()
+      const receipt = await run('sale:close', { address: contract.address })
+      expect(receipt.status).to.equal(1)
+      expect(await contract.isPublicMintingAllowed()).to.equal(false)
+    })
+  })
+
+  describe('sale:pause', function () {
+    it('pauses minting but not transfers by default', async function () {
+      const receipt = await run('sale:pause', { address: contract.address })
+      expect(receipt.status).to.equal(1)
+      expect(await contract.paused()).to.equal(true)
+      expect(await contract.areTransfersPaused()).to.equal(false)
+    })
+
+    it('pauses transfers as well with --transfers, and shows it in sale:status', async function () {
+      await run('sale:pause', { address: contract.address, transfers: true })
+      const status = await run('sale:status', { address: contract.address })
+      expect(status.paused).to.equal(true)
+      expect(status.areTransfersPaused).to.equal(true)
+    })
+
+    it('does nothing if the contract is already paused', async function () {
+      await contract.pause(false)
+      const blockNumber = await ethers.provider.getBlockNumber()
+      expect(await run('sale:pause', { address: contract.address })).to.equal(undefined)
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber)
+    })
+
+    it('pauses transfers with --transfers when minting is already paused', async function () {
+      await contract.pause(false)
+      const receipt = await run('sale:pause', { address: contract.address, transfers: true })
+      expect(receipt.status).to.equal(1)
+      expect(await contract.paused()).to.equal(true)
+      expect(await contract.areTransfersPaused()).to.equal(true)
+    })
+
+    it('refuses to run if the signer is not a pauser', async function () {
+      await contract.revokeRole(await contract.PAUSER_ROLE(), owner.address)
+      try {
+        await run('sale:pause', { address: contract.address })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain(`${owner.address} does not have PAUSER_ROLE`)
+      expect(await contract.paused()).to.equal(false)
+    })
+  })
+
+  describe('sale:unpause', function () {
+    it('unpauses minting and transfers', async function () {
+      await contract.pause(true)
+      const receipt = await run('sale:unpause', { address: contract.address })
+      expect(receipt.status).to.equal(1)
+      expect(await contract.paused()).to.equal(false)
+      expect(await contract.areTransfersPaused()).to.equal(false)
+    })
+  })
+
+  describe('sale schedule', function () {
+    let dir
+    let file
+    let now
+    let entries
+
+    beforeEach(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-'))
+      file = path.join(dir, 'schedule.json')
+      now = (await ethers.provider.getBlock('latest')).timestamp
+      entries = [
+        { name: 'allowlist', start: now + 100, end: now + 200, price: '0.03', maxPerTx: 2, maxPerWallet: 2 },
+        {
+          name: 'public',
+          start: new Date((now + 200) * 1000).toISOString(),
+          end: new Date((now + 300) * 1000).toISOString(),
+          price: 0.05,
+          maxPerTx: 5,
+          maxPerWallet: 10,
+        },
+      ]
+    })
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    describe('sale:schedule', function () {
+      it('sets the phases from the file', async function () {
+        fs.writeFileSync(file, JSON.stringify(entries))
+        const receipt = await run('sale:schedule', { schedule: file, address: contract.address })
+
+        expect(receipt.status).to.equal(1)
+        const phases = await contract.salePhases()
+        expect(phases.map((phase) => phase.id)).to.deep.equal([ethers.utils.id('allowlist'), ethers.utils.id('public')])
+        expect(phases[0].price).to.equal(ethers.utils.parseEther('0.03'))
+        expect(phases[1].startTime).to.equal(now + 200)
+      })
+
+      it('refuses to run if the signer is not a sale manager', async function () {
+        fs.writeFileSync(file, JSON.stringify(entries))
+        const Token = await ethers.getContractFactory('MetaDaoNft', buyer)
+        contract = await Token.deploy(...constructorArgs(config))
+        await contract.deployed()
+
+        try {
+          await run('sale:schedule', { schedule: file, address: contract.address })
+          throw new Error('was not supposed to succeed')
+        } catch (err) {
+          error = err
+        }
+        expect(error.message).to.contain(`${owner.address} does not have SALE_MANAGER_ROLE`)
+      })
+    })
+
+    describe('sale:phases', function () {
+      it('reads the schedule and the current phase back', async function () {
+        await contract.setSalePhases(parseSalePhases(entries))
+        await ethers.provider.send('evm_setNextBlockTimestamp', [now + 250])
+        await ethers.provider.send('evm_mine', [])
+
+        const { phases, current } = await run('sale:phases', { address: contract.address })
+
+        expect(phases).to.deep.equal(parseSalePhases(entries))
+        expect(current).to.deep.equal(phases[1])
+      })
+
+      it('falls back to the manual phase with no schedule', async function () {
+        const { phases, current } = await run('sale:phases', { address: contract.address })
+
+        expect(phases).to.deep.equal([])
+        expect(current.id).to.equal(await contract.WHITELIST_PHASE())
+        expect(current.maxPerWallet).to.equal(2)
+      })
+    })
+
+    describe('parseSalePhases', function () {
+      it('reads the merkle root of a whitelist bundle', async function () {
+        fs.writeFileSync(path.join(dir, 'addresses.csv'), [owner.address, buyer.address].join('\n'))
+        await run('whitelist:build', { input: path.join(dir, 'addresses.csv'), out: path.join(dir, 'whitelist') })
+        entries[0].whitelist = 'whitelist'
+
+        const [allowlist, publicPhase] = parseSalePhases(entries, dir)
+
+        const { root } = JSON.parse(fs.readFileSync(path.join(dir, 'whitelist', 'root.json')))
+        expect(allowlist.merkleRoot).to.equal(root)
+        expect(publicPhase.merkleRoot).to.equal(ethers.constants.HashZero)
+      })
+
+      it('rejects phases that end before they start', function () {
+        entries[0].end = entries[0].start
+        expect(() => parseSalePhases(entries)).to.throw('Phase 1 (allowlist) must end after it starts.')
+      })
+
+      it('rejects overlapping phases', function () {
+        entries[1].start = now + 150
+        expect(() => parseSalePhases(entries)).to.throw('Phase 2 (public) starts before the previous phase ends.')
+      })
+
+      it('rejects unparseable times', function () {
+        entries[1].end = 'soon'
+        expect(() => parseSalePhases(entries)).to.throw('Phase 2 (public) must have a valid start and end.')
+      })
+    })
+  })
+})
@@ -0,0 +1,117 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('chai')
+const { run } = require('hardhat')
+const { voucherDomain, recoverVoucherSigner, issueVouchers } = require('../utilities/vouchers')
+
+describe('Vouchers', function () {
+  let dir
+  let contract
+  let owner
+  let minters
+  let domain
+  let expiry
+  let error
+
+  function writeFile(name, contents) {
+    const file = path.join(dir, name)
+    fs.writeFileSync(file, contents)
+    return file
+  }
+
+  async function deploy(signer) {
+    const Token = await ethers.getContractFactory('MetaDaoNft', signer)
+    const token = await Token.deploy([], signer.address, [], 'ipfs://example/')
+    await token.deployed()
+    await token.setProvenanceHash(ethers.utils.id('provenance'))
+    return token
+  }
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vouchers-'))
+    ;[owner, ...minters] = await ethers.getSigners()
+    minters = minters.slice(0, 3)
+    contract = await deploy(owner)
+    await contract.grantRole(await contract.VOUCHER_SIGNER_ROLE(), owner.address)
+    domain = voucherDomain(await contract.vouchers(), (await ethers.provider.getNetwork()).chainId)
+    expiry = (await ethers.provider.getBlock('latest')).timestamp + 3600
+  })
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+    error = undefined
+  })
+
+  describe('issueVouchers', function () {
+    it('signs a voucher for every entry that recovers to the signer', async function () {
+      const entries = minters.map(({ address }, i) => ({ address, allowance: i + 1 }))
+      const phase = await contract.WHITELIST_PHASE()
+      const vouchers = await issueVouchers(owner, domain, entries, { phase, expiry, nonce: 7 })
+
+      expect(Object.keys(vouchers)).to.deep.equal(entries.map(({ address }) => address))
+      for (const { address, allowance } of entries) {
+        const { voucher, signature } = vouchers[address]
+        expect(voucher).to.deep.equal({ minter: address, maxQuantity: allowance, phase, expiry, nonce: '7' })
+        expect(recoverVoucherSigner(domain, voucher, signature)).to.equal(owner.address)
+      }
+    })
+  })
+
+  describe('vouchers:issue', function () {
+    let input
+
+    beforeEach(function () {
+      input = writeFile('addresses.csv', [`${minters[0].address},3`, minters[1].address].join('\n'))
+    })
+
+    it('writes vouchers that mint on the contract', async function () {
+      const out = path.join(dir, 'out')
+      await run('vouchers:issue', { input, address: contract.address, expiry: String(expiry), nonce: 1, out })
+
+      const vouchers = JSON.parse(fs.readFileSync(path.join(out, 'vouchers.json')))
+      expect(vouchers[minters[0].address].voucher.maxQuantity).to.equal(3)
+      expect(vouchers[minters[1].address].voucher.maxQuantity).to.equal(2)
+
+      const { voucher, signature } = vouchers[minters[1].address]
+      const price = await contract.PRICE()
+      await contract
+        .connect(minters[1])
+        .mintWithVoucher(minters[1].address, 2, voucher, signature, { value: price.mul(2) })
+      expect(await contract.balanceOf(minters[1].address)).to.equal(2)
+    })
+
+    it('signs vouchers for the named phase', async function () {
+      const vouchers = await run('vouchers:issue', {
+        input,
+        address: contract.address,
+        phase: 'allowlist',
+        expiry: new Date(expiry * 1000).toISOString(),
+        out: path.join(dir, 'out'),
+      })
+      expect(vouchers[minters[0].address].voucher.phase).to.equal(ethers.utils.id('allowlist'))
+      expect(vouchers[minters[0].address].voucher.expiry).to.equal(expiry)
+    })
+
+    it('refuses an expiry that has already passed', async function () {
+      try {
+        await run('vouchers:issue', { input, address: contract.address, expiry: '1000', out: path.join(dir, 'out') })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('The expiry 1000 has already passed.')
+    })
+
+    it('refuses to sign when the signer does not have the signer role', async function () {
+      await contract.revokeRole(await contract.VOUCHER_SIGNER_ROLE(), owner.address)
+      try {
+        await run('vouchers:issue', { input, address: contract.address, expiry: String(expiry) })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('does not have VOUCHER_SIGNER_ROLE')
+    })
+  })
+})
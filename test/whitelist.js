@@ -0,0 +1,255 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { expect } = require('chai')
+const { run } = require('hardhat')
+const {
+  getWhitelistParams,
+  getWhitelistMultiProof,
+  createWhitelistTree,
+  rootFrom,
+  verifyWhitelistParams,
+} = require('../utilities/merkleTrees')
+
+describe('Whitelist', function () {
+  let dir
+  let addresses
+  let error
+
+  function randomAddress() {
+    return ethers.utils.getAddress(ethers.utils.hexlify(ethers.utils.randomBytes(20)))
+  }
+
+  function toEntries(list, allowance = 2) {
+    return list.map((address) => ({ address, allowance }))
+  }
+
+  function writeFile(name, contents) {
+    const file = path.join(dir, name)
+    fs.writeFileSync(file, contents)
+    return file
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whitelist-'))
+    addresses = Array.from({ length: 5 }, randomAddress)
+  })
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+    error = undefined
+  })
+
+  describe('verifyWhitelistParams', function () {
+    it('verifies the params of every address in trees of many sizes', function () {
+      for (let size = 1; size <= 17; size++) {
+        const list = Array.from({ length: size }, randomAddress)
+        const tree = createWhitelistTree(toEntries(list))
+        list.forEach((address) => {
+          expect(verifyWhitelistParams(rootFrom(tree), address, getWhitelistParams(address, tree))).to.equal(true)
+        })
+      }
+    })
+
+    it('rejects an address that is not in the tree', function () {
+      const tree = createWhitelistTree(toEntries(addresses))
+      const params = getWhitelistParams(addresses[0], tree)
+      expect(verifyWhitelistParams(rootFrom(tree), addresses[1], params)).to.equal(false)
+    })
+
+    it('rejects a different allowance', function () {
+      const tree = createWhitelistTree(toEntries(addresses))
+      const params = getWhitelistParams(addresses[0], tree)
+      expect(verifyWhitelistParams(rootFrom(tree), addresses[0], { ...params, allowance: 3 })).to.equal(false)
+    })
+
+    it('finds an address whatever its case', function () {
+      const tree = createWhitelistTree(toEntries(addresses))
+      const params = getWhitelistParams(addresses[0].toLowerCase(), tree)
+      expect(params).to.deep.equal(getWhitelistParams(addresses[0], tree))
+      expect(verifyWhitelistParams(rootFrom(tree), addresses[0], params)).to.equal(true)
+    })
+  })
+
+  describe('agreement with the contract', function () {
+    let contract
+
+    beforeEach(async function () {
+      const [owner] = await ethers.getSigners()
+      const Token = await ethers.getContractFactory('MetaDaoNft')
+      contract = await Token.deploy([], owner.address, [], 'ipfs://example/')
+      await contract.deployed()
+    })
+
+    it('verifies single and multi-proofs for trees of many sizes, including odd ones', async function () {
+      for (const size of [1, 2, 3, 4, 5, 7, 8, 9, 16, 33]) {
+        const entries = Array.from({ length: size }, (_, i) => ({ address: randomAddress(), allowance: i + 1 }))
+        const tree = createWhitelistTree(entries)
+        await contract.updateWhitelist(rootFrom(tree))
+
+        for (const { address, allowance } of entries) {
+          const params = getWhitelistParams(address, tree)
+          expect(params.allowance).to.equal(allowance)
+          expect(await contract.verifyWhitelist(address, params.allowance, params.proof)).to.equal(true)
+        }
+
+        const subsets = [entries, entries.filter((_, i) => i % 2 === 1), entries.slice(-1)]
+        for (const subset of subsets.filter((list) => list.length > 0)) {
+          const { accounts, allowances, proof, proofFlags } = getWhitelistMultiProof(
+            subset.map(({ address }) => address),
+            tree
+          )
+          expect(await contract.verifyWhitelistMultiProof(accounts, allowances, proof, proofFlags)).to.equal(true)
+        }
+      }
+    })
+
+    it('rejects an allowance or an address that is not in the tree', async function () {
+      const tree = createWhitelistTree(toEntries(addresses))
+      await contract.updateWhitelist(rootFrom(tree))
+      const { allowance, proof } = getWhitelistParams(addresses[0], tree)
+
+      expect(await contract.verifyWhitelist(addresses[0], allowance + 1, proof)).to.equal(false)
+      expect(await contract.verifyWhitelist(randomAddress(), allowance, proof)).to.equal(false)
+    })
+  })
+
+  describe('whitelist:build', function () {
+    it('writes the root and a proof for every address from a CSV', async function () {
+      const input = writeFile('addresses.csv', ['address', ...addresses.map((a) => a.toLowerCase())].join('\n'))
+      const out = path.join(dir, 'out')
+      await run('whitelist:build', { input, out })
+
+      const { root, count } = JSON.parse(fs.readFileSync(path.join(out, 'root.json')))
+      const proofs = JSON.parse(fs.readFileSync(path.join(out, 'proofs.json')))
+      expect(root).to.equal(rootFrom(createWhitelistTree(toEntries(addresses))))
+      expect(count).to.equal(addresses.length)
+      expect(Object.keys(proofs)).to.deep.equal(addresses)
+      addresses.forEach((address) => {
+        expect(verifyWhitelistParams(root, address, proofs[address])).to.equal(true)
+      })
+    })
+
+    it('dedupes addresses from a JSON file', async function () {
+      const input = writeFile('addresses.json', JSON.stringify([...addresses, addresses[0].toLowerCase()], null, 2))
+      const { proofs } = await run('whitelist:build', { input, out: path.join(dir, 'out') })
+      expect(Object.keys(proofs)).to.deep.equal(addresses)
+    })
+
+    it('reads allowances from the second CSV column, defaulting to --allowance', async function () {
+      const input = writeFile('addresses.csv', [`${addresses[0]},5`, addresses[1]].join('\n'))
+      const { root, proofs } = await run('whitelist:build', { input, out: path.join(dir, 'out'), allowance: 1 })
+      expect(proofs[addresses[0]].allowance).to.equal(5)
+      expect(proofs[addresses[1]].allowance).to.equal(1)
+      expect(verifyWhitelistParams(root, addresses[0], proofs[addresses[0]])).to.equal(true)
+    })
+
+    it('reads allowances from JSON objects', async function () {
+      const input = writeFile('addresses.json', JSON.stringify([{ address: addresses[0], allowance: 3 }, addresses[1]]))
+      const { proofs } = await run('whitelist:build', { input, out: path.join(dir, 'out') })
+      expect(proofs[addresses[0]].allowance).to.equal(3)
+      expect(proofs[addresses[1]].allowance).to.equal(2)
+    })
+
+    it('rejects invalid allowances and addresses listed with different allowances', async function () {
+      const input = writeFile(
+        'addresses.csv',
+        [`${addresses[0]},0`, `${addresses[1]},2`, `${addresses[1]},3`].join('\n')
+      )
+      try {
+        await run('whitelist:build', { input, out: path.join(dir, 'out') })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain(`line 1: ${addresses[0]} has an invalid allowance of 0`)
+      expect(error.message).to.contain(`line 3: ${addresses[1]} is already listed with an allowance of 2`)
+    })
+
+    it('rejects invalid addresses with their line numbers', async function () {
+      const input = writeFile('addresses.csv', [addresses[0], 'not-an-address', addresses[1], '0x1234'].join('\n'))
+      try {
+        await run('whitelist:build', { input, out: path.join(dir, 'out') })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('line 2: not-an-address')
+      expect(error.message).to.contain('line 4: 0x1234')
+      expect(fs.existsSync(path.join(dir, 'out'))).to.equal(false)
+    })
+
+    it('reports line numbers for invalid JSON entries', async function () {
+      const input = writeFile('addresses.json', JSON.stringify([addresses[0], addresses[1], '0xnope'], null, 2))
+      try {
+        await run('whitelist:build', { input, out: path.join(dir, 'out') })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('line 4: 0xnope')
+    })
+
+    it('builds a whitelist with a single address', async function () {
+      const input = writeFile('addresses.csv', addresses[0])
+      const { root, proofs } = await run('whitelist:build', { input, out: path.join(dir, 'out') })
+      expect(proofs[addresses[0]].proof).to.deep.equal([])
+      expect(verifyWhitelistParams(root, addresses[0], proofs[addresses[0]])).to.equal(true)
+    })
+  })
+
+  describe('whitelist:publish', function () {
+    let contract
+    let bundle
+
+    async function deploy(signer) {
+      const Token = await ethers.getContractFactory('MetaDaoNft', signer)
+      const token = await Token.deploy([], signer.address, [], 'ipfs://example/')
+      return token.deployed()
+    }
+
+    beforeEach(async function () {
+      const [owner] = await ethers.getSigners()
+      contract = await deploy(owner)
+      bundle = path.join(dir, 'bundle')
+      await run('whitelist:build', { input: writeFile('addresses.csv', addresses.join('\n')), out: bundle })
+    })
+
+    it('sets the root on the contract and verifies the sample', async function () {
+      await run('whitelist:publish', { address: contract.address, bundle, sample: addresses.length })
+
+      const proofs = JSON.parse(fs.readFileSync(path.join(bundle, 'proofs.json')))
+      for (const address of addresses) {
+        const { allowance, proof } = proofs[address]
+        expect(await contract.verifyWhitelist(address, allowance, proof)).to.equal(true)
+      }
+    })
+
+    it('refuses to send when the signer is not a whitelist manager', async function () {
+      const [, other] = await ethers.getSigners()
+      contract = await deploy(other)
+      try {
+        await run('whitelist:publish', { address: contract.address, bundle })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain('does not have WHITELIST_MANAGER_ROLE')
+    })
+
+    it('fails loudly when a published proof does not verify', async function () {
+      const proofsFile = path.join(bundle, 'proofs.json')
+      const proofs = JSON.parse(fs.readFileSync(proofsFile))
+      proofs[addresses[0]] = proofs[addresses[1]]
+      fs.writeFileSync(proofsFile, JSON.stringify(proofs))
+
+      try {
+        await run('whitelist:publish', { address: contract.address, bundle, sample: addresses.length })
+        throw new Error('was not supposed to succeed')
+      } catch (err) {
+        error = err
+      }
+      expect(error.message).to.contain(`Whitelist verification failed on-chain for:\n  ${addresses[0]}`)
+    })
+  })
+})
@@ -0,0 +1,102 @@
+const fs = require('fs')
+const { utils } = require('ethers')
+
+/**
+ * A conservative model of the gas MetaDaoNft.airdrop needs, measured with
+ * estimateGas on the hardhat network: a fixed cost per transaction, per
+ * recipient that didn't hold any tokens yet, and per token. It only holds for
+ * recipients that are wallets: `_safeMint` calls `onERC721Received` on
+ * contract recipients, which can use any amount of gas, so the airdrop task
+ * also checks every chunk with `estimateGas` before sending it.
+ */
+const AIRDROP_GAS = { base: 75000, perRecipient: 53000, perToken: 2000 }
+
+/**
+ * @param {{address: string, amount: number}[]} entries The recipients of an airdrop transaction.
+ * @return {number} The most gas the transaction uses if none of the recipients are contracts.
+ */
+function estimateAirdropGas(entries) {
+  return entries.reduce(
+    (gas, { amount }) => gas + AIRDROP_GAS.perRecipient + AIRDROP_GAS.perToken * amount,
+    AIRDROP_GAS.base
+  )
+}
+
+/**
+ * Splits the recipients of an airdrop into chunks that each fit in a
+ * transaction using at most gasLimit by estimateAirdropGas, keeping their
+ * order.
+ *
+ * @param {{address: string, amount: number}[]} entries The recipients and their amounts.
+ * @param {number} gasLimit The most gas a chunk may use.
+ * @return {{address: string, amount: number}[][]}
+ */
+function chunkAirdrop(entries, gasLimit) {
+  const chunks = []
+  let chunk = []
+
+  entries.forEach((entry) => {
+    if (estimateAirdropGas([entry]) > gasLimit) {
+      throw new Error(`Airdropping ${entry.amount} tokens to ${entry.address} does not fit in ${gasLimit} gas.`)
+    }
+    if (estimateAirdropGas([...chunk, entry]) > gasLimit) {
+      chunks.push(chunk)
+      chunk = []
+    }
+    chunk.push(entry)
+  })
+
+  if (chunk.length > 0) chunks.push(chunk)
+  return chunks
+}
+
+/**
+ * Fingerprints a list of recipients, so progress saved for one list is never
+ * resumed with another.
+ *
+ * @param {{address: string, amount: number}[]} entries The recipients and their amounts.
+ * @return {string} The hex keccak256 hash of the list.
+ */
+function airdropDigest(entries) {
+  return utils.id(entries.map(({ address, amount }) => `${address},${amount}`).join('\n'))
+}
+
+/**
+ * Reads the progress of an airdrop, or starts a new one if the file doesn't
+ * exist. Throws if the file is for another contract, chain or list.
+ *
+ * @param {string} file The path to the progress file.
+ * @param {{contract: string, chainId: number, digest: string}} airdrop The airdrop being sent.
+ * @return {{contract: string, chainId: number, digest: string, airdropped: number,
+ * pending: Object|undefined, transactions: Object[]}}
+ */
+function readAirdropProgress(file, { contract, chainId, digest }) {
+  if (!fs.existsSync(file)) {
+    return { contract, chainId, digest, airdropped: 0, transactions: [] }
+  }
+
+  const progress = JSON.parse(fs.readFileSync(file, 'utf8'))
+  if (progress.contract !== contract || progress.chainId !== chainId || progress.digest !== digest) {
+    throw new Error(`${file} is for another airdrop. Delete it to start over.`)
+  }
+  return progress
+}
+
+/**
+ * Saves the progress of an airdrop.
+ *
+ * @param {string} file The path to the progress file.
+ * @param {Object} progress The progress from readAirdropProgress.
+ */
+function writeAirdropProgress(file, progress) {
+  fs.writeFileSync(file, JSON.stringify(progress, undefined, 2))
+}
+
+module.exports = {
+  AIRDROP_GAS,
+  estimateAirdropGas,
+  chunkAirdrop,
+  airdropDigest,
+  readAirdropProgress,
+  writeAirdropProgress,
+}
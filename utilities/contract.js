@@ -0,0 +1,44 @@
+const { readDeployment } = require('./deployments')
+const { CONFIRMATION_CHAIN_IDS } = require('./preflight')
+
+/**
+ * Connects to the deployed MetaDaoNft contract with the first signer.
+ *
+ * @param {Object} hre The hardhat runtime environment.
+ * @param {string} address The contract address. Defaults to the recorded deployment for the network.
+ * @return {Promise<Contract>}
+ */
+async function getMetaDaoNft({ ethers, network }, address) {
+  const [signer] = await ethers.getSigners()
+  return ethers.getContractAt('MetaDaoNft', address || readDeployment(network.name).address, signer)
+}
+
+/**
+ * Throws before anything is sent if the signer of the contract lacks a role.
+ *
+ * @param {Contract} contract A contract connected to a signer.
+ * @param {string} roleName The name of the role constant on the contract, e.g. 'SALE_MANAGER_ROLE'.
+ */
+async function assertSignerHasRole(contract, roleName) {
+  const account = await contract.signer.getAddress()
+  const role = await contract[roleName]()
+  if (!(await contract.hasRole(role, account))) {
+    throw new Error(`${account} does not have ${roleName} on ${contract.address}.`)
+  }
+}
+
+/**
+ * Throws if the network requires --confirm for changes and it wasn't given.
+ *
+ * @param {string} action What is being done, e.g. 'Opening the sale'.
+ * @param {boolean} confirm Whether --confirm was given.
+ * @param {Object} hre The hardhat runtime environment.
+ */
+async function assertConfirmed(action, confirm, { ethers, network }) {
+  const { chainId } = await ethers.provider.getNetwork()
+  if (CONFIRMATION_CHAIN_IDS.includes(chainId) && !confirm) {
+    throw new Error(`${action} on ${network.name} requires --confirm.`)
+  }
+}
+
+module.exports = { getMetaDaoNft, assertSignerHasRole, assertConfirmed }
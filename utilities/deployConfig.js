@@ -0,0 +1,93 @@
+const fs = require('fs')
+const path = require('path')
+const { utils } = require('ethers')
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config')
+
+/**
+ * Checks that every address in a deployment config is checksummed, that no
+ * address is listed twice and that nobody holds more than one of the founder,
+ * artist and staff slots. Throws an error listing every problem found.
+ *
+ * @param {Object} config The parsed deployment config.
+ * @param {string} source Where the config came from, for error messages.
+ */
+function validateDeployConfig(config, source) {
+  const problems = []
+  const slots = new Map()
+
+  function check(address, label) {
+    if (typeof address !== 'string' || !utils.isAddress(address)) {
+      problems.push(`${label} is not a valid address: ${address}`)
+      return
+    }
+    if (utils.getAddress(address) !== address) {
+      problems.push(`${label} is not checksummed: ${address} (expected ${utils.getAddress(address)})`)
+    }
+
+    const key = address.toLowerCase()
+    if (slots.has(key)) {
+      problems.push(`${label} ${address} is already listed as ${slots.get(key)}`)
+    } else {
+      slots.set(key, label)
+    }
+  }
+
+  if (!Array.isArray(config.founders)) {
+    problems.push('founders must be an array of addresses')
+  } else {
+    config.founders.forEach((address, i) => check(address, `founders[${i}]`))
+  }
+
+  check(config.artist, 'artist')
+
+  if (!config.staff || typeof config.staff !== 'object' || Array.isArray(config.staff)) {
+    problems.push('staff must map names to addresses')
+  } else {
+    Object.entries(config.staff).forEach(([name, address]) => check(address, `staff "${name}"`))
+  }
+
+  if (typeof config.placeholderURI !== 'string' || config.placeholderURI === '') {
+    problems.push('placeholderURI must be a non-empty string')
+  } else if (config.placeholderURI.endsWith('/')) {
+    // A directory is what reveal takes, and would expose the artwork before the reveal.
+    problems.push('placeholderURI must be the URI of a metadata file, not a directory')
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid deployment config ${source}:\n${problems.map((p) => `  ${p}`).join('\n')}`)
+  }
+}
+
+/**
+ * Loads and validates the deployment config for a network from
+ * config/<network>.json. The in-process hardhat network shares its accounts
+ * with a local node, so it falls back to config/localhost.json.
+ *
+ * @param {string} network The network name.
+ * @param {string} dir The directory holding the config files.
+ * @return {{founders: string[], artist: string, staff: Object<string, string>, placeholderURI: string}}
+ */
+function loadDeployConfig(network, dir = CONFIG_DIR) {
+  let file = path.join(dir, `${network}.json`)
+  if (network === 'hardhat' && !fs.existsSync(file)) {
+    file = path.join(dir, 'localhost.json')
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment config for network "${network}". Expected ${file}.`)
+  }
+
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'))
+  validateDeployConfig(config, file)
+  return config
+}
+
+/**
+ * @param {Object} config A validated deployment config.
+ * @return {Array} The MetaDaoNft constructor arguments, in order.
+ */
+function constructorArgs({ founders, artist, staff, placeholderURI }) {
+  return [founders, artist, Object.values(staff), placeholderURI]
+}
+
+module.exports = { validateDeployConfig, loadDeployConfig, constructorArgs }
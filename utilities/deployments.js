@@ -0,0 +1,134 @@
+const fs = require('fs')
+const path = require('path')
+const { utils } = require('ethers')
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments')
+
+/**
+ * @param {string} network The network name.
+ * @param {string} name The contract name.
+ * @param {string} dir The deployments directory.
+ * @return {string} The path of the current deployment record.
+ */
+function deploymentPath(network, name = 'MetaDaoNft', dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, network, `${name}.json`)
+}
+
+/**
+ * Builds the record of a freshly deployed contract.
+ *
+ * @param {Object} options
+ * @param {Contract} options.contract The deployed ethers contract.
+ * @param {Array} options.args The constructor arguments it was deployed with.
+ * @param {Object} options.artifacts The hardhat artifacts object.
+ * @param {string} options.network The network name.
+ * @param {string} options.name The contract name.
+ * @return {Promise<Object>} The deployment record.
+ */
+async function createDeploymentRecord({ contract, args, artifacts, network, name = 'MetaDaoNft' }) {
+  const receipt = await contract.deployTransaction.wait()
+  const artifact = await artifacts.readArtifact(name)
+  const buildInfo = await artifacts.getBuildInfo(`${artifact.sourceName}:${name}`)
+  // outputSelection only tells solc what to emit, it doesn't affect the bytecode.
+  const { outputSelection, ...settings } = buildInfo.input.settings
+
+  return {
+    contractName: name,
+    network,
+    chainId: (await contract.provider.getNetwork()).chainId,
+    address: contract.address,
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    deployer: receipt.from,
+    constructorArgs: args,
+    compiler: { version: buildInfo.solcLongVersion, settings },
+    bytecodeHash: utils.keccak256(artifact.bytecode),
+    deployedAt: new Date().toISOString(),
+  }
+}
+
+/**
+ * Saves a deployment record as the current deployment for its network. Any
+ * previous record is moved to deployments/<network>/archive, named after the
+ * block it was deployed in.
+ *
+ * @param {Object} record A record created by createDeploymentRecord.
+ * @param {string} dir The deployments directory.
+ * @return {string} The path the record was written to.
+ */
+function saveDeployment(record, dir = DEPLOYMENTS_DIR) {
+  const file = deploymentPath(record.network, record.contractName, dir)
+
+  if (fs.existsSync(file)) {
+    const previous = JSON.parse(fs.readFileSync(file, 'utf8'))
+    const archiveDir = path.join(path.dirname(file), 'archive')
+    fs.mkdirSync(archiveDir, { recursive: true })
+    fs.renameSync(file, path.join(archiveDir, `${previous.contractName}-${previous.blockNumber}.json`))
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, JSON.stringify(record, undefined, 2))
+  return file
+}
+
+/**
+ * Overwrites the current deployment record for its network, without
+ * archiving it. Used to add details, such as verification status, to a record
+ * saved by saveDeployment.
+ *
+ * @param {Object} record The updated deployment record.
+ * @param {string} dir The deployments directory.
+ * @return {string} The path the record was written to.
+ */
+function updateDeployment(record, dir = DEPLOYMENTS_DIR) {
+  const file = deploymentPath(record.network, record.contractName, dir)
+  const current = readDeployment(record.network, record.contractName, dir)
+  if (current.address !== record.address) {
+    throw new Error(`${record.address} is not the current ${record.contractName} deployment on ${record.network}.`)
+  }
+
+  fs.writeFileSync(file, JSON.stringify(record, undefined, 2))
+  return file
+}
+
+/**
+ * Reads the current deployment record for a network.
+ *
+ * @param {string} network The network name.
+ * @param {string} name The contract name.
+ * @param {string} dir The deployments directory.
+ * @return {Object} The deployment record.
+ */
+function readDeployment(network, name = 'MetaDaoNft', dir = DEPLOYMENTS_DIR) {
+  const file = deploymentPath(network, name, dir)
+  if (!fs.existsSync(file)) {
+    throw new Error(`No ${name} deployment recorded for network "${network}". Expected ${file}.`)
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+/**
+ * Reads the current deployment record of a contract on every network.
+ *
+ * @param {string} name The contract name.
+ * @param {string} dir The deployments directory.
+ * @return {Object[]} The deployment records.
+ */
+function readDeployments(name = 'MetaDaoNft', dir = DEPLOYMENTS_DIR) {
+  if (!fs.existsSync(dir)) return []
+
+  return fs
+    .readdirSync(dir)
+    .filter((network) => fs.existsSync(deploymentPath(network, name, dir)))
+    .map((network) => readDeployment(network, name, dir))
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  deploymentPath,
+  createDeploymentRecord,
+  saveDeployment,
+  updateDeployment,
+  readDeployment,
+  readDeployments,
+}
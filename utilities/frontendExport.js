@@ -0,0 +1,81 @@
+const fs = require('fs')
+const path = require('path')
+
+const FORMATS = ['artifact', 'abi', 'js', 'ts']
+
+/**
+ * Maps chain IDs to the address the contract is deployed at on that chain.
+ *
+ * @param {Object[]} records Deployment records from readDeployments.
+ * @return {Object<number, string>}
+ */
+function addressesByChainId(records) {
+  return records.reduce((addresses, { chainId, address }) => ({ ...addresses, [chainId]: address }), {})
+}
+
+/**
+ * Generates the source of a JS or TS module exporting the contract addresses
+ * and ABI.
+ *
+ * @param {string} format Either 'js' or 'ts'.
+ * @param {Object<number, string>} addresses Addresses by chain ID.
+ * @param {Array} abi The contract ABI.
+ * @return {string}
+ */
+function moduleSource(format, addresses, abi) {
+  const addressesType = format === 'ts' ? ': { [chainId: number]: string }' : ''
+  const abiSuffix = format === 'ts' ? ' as const' : ''
+
+  return [
+    '// Generated by `hardhat export`. Do not edit.',
+    '',
+    `export const addresses${addressesType} = ${JSON.stringify(addresses, undefined, 2)}`,
+    '',
+    `export const abi = ${JSON.stringify(abi, undefined, 2)}${abiSuffix}`,
+    '',
+  ].join('\n')
+}
+
+/**
+ * Writes the contract files the frontend needs, creating the output directory
+ * if it doesn't exist.
+ *
+ * - artifact: <name>.json holding the full artifact, and contract-address.json
+ * - abi: <name>.json holding only the contract name and ABI, and contract-address.json
+ * - js/ts: a <name>.js or <name>.ts module exporting `addresses` and `abi`
+ *
+ * contract-address.json maps the contract name to its addresses by chain ID.
+ *
+ * @param {Object} options
+ * @param {Object} options.artifact The contract artifact.
+ * @param {Object[]} options.records Deployment records from readDeployments.
+ * @param {string} options.format One of FORMATS.
+ * @param {string} options.out The output directory.
+ * @return {string[]} The paths of the written files.
+ */
+function exportContract({ artifact, records, format, out }) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}". Expected one of ${FORMATS.join(', ')}.`)
+  }
+
+  const { contractName, abi } = artifact
+  const addresses = addressesByChainId(records)
+  const files = {}
+
+  if (format === 'js' || format === 'ts') {
+    files[`${contractName}.${format}`] = moduleSource(format, addresses, abi)
+  } else {
+    const contents = format === 'artifact' ? artifact : { contractName, abi }
+    files[`${contractName}.json`] = JSON.stringify(contents, undefined, 2)
+    files['contract-address.json'] = JSON.stringify({ [contractName]: addresses }, undefined, 2)
+  }
+
+  fs.mkdirSync(out, { recursive: true })
+  return Object.entries(files).map(([name, contents]) => {
+    const file = path.join(out, name)
+    fs.writeFileSync(file, contents)
+    return file
+  })
+}
+
+module.exports = { FORMATS, addressesByChainId, exportContract }
@@ -0,0 +1,103 @@
+const { StandardMerkleTree } = require('@openzeppelin/merkle-tree')
+
+/**
+ * The types a whitelist leaf is ABI encoded with. StandardMerkleTree hashes
+ * them as `keccak256(bytes.concat(keccak256(abi.encode(address, allowance))))`,
+ * the same way the contract does.
+ */
+const LEAF_ENCODING = ['address', 'uint256']
+
+/**
+ * Builds the whitelist merkle tree for a list of entries, along with an index
+ * of each address's position so proofs can be looked up without scanning
+ * every entry.
+ *
+ * @param {{address: string, allowance: number}[]} entries The whitelisted
+ * addresses and their allowances.
+ * @return {{tree: StandardMerkleTree, indexes: Map<string, number>}} The tree,
+ * and the position of each lowercased address in it.
+ */
+function createWhitelistTree(entries) {
+  if (entries.length === 0) {
+    throw new Error('A whitelist needs at least 1 address.')
+  }
+
+  return {
+    tree: StandardMerkleTree.of(
+      entries.map(({ address, allowance }) => [address, allowance]),
+      LEAF_ENCODING
+    ),
+    indexes: new Map(entries.map(({ address }, i) => [address.toLowerCase(), i])),
+  }
+}
+
+/**
+ * @param {Object} tree A tree created by createWhitelistTree.
+ * @return {string} The hex root to pass to MetaDaoNft.updateWhitelist.
+ */
+function rootFrom({ tree }) {
+  return tree.root
+}
+
+/**
+ * Generates the allowance and proof for an address, to be passed to
+ * MetaDaoNft.mint and MetaDaoNft.verifyWhitelist. The allowance is 0 and the
+ * proof is empty when the address is not in the tree.
+ *
+ * @param {string} address The address to generate the parameters for.
+ * @param {Object} tree A tree created by createWhitelistTree.
+ * @return {{allowance: number, proof: string[]}}
+ */
+function getWhitelistParams(address, tree) {
+  const index = tree && tree.indexes.get(address.toLowerCase())
+  if (index === undefined) return { allowance: 0, proof: [] }
+
+  const [, allowance] = tree.tree.at(index)
+  return { allowance, proof: tree.tree.getProof(index) }
+}
+
+/**
+ * Generates a single proof for several addresses at once, to be passed to
+ * MetaDaoNft.verifyWhitelistMultiProof. The contract consumes leaves in the
+ * order they are returned, which is not necessarily the order given.
+ *
+ * @param {string[]} addresses Addresses in the tree.
+ * @param {Object} tree A tree created by createWhitelistTree.
+ * @return {{accounts: string[], allowances: number[], proof: string[], proofFlags: boolean[]}}
+ */
+function getWhitelistMultiProof(addresses, tree) {
+  const indexes = addresses.map((address) => {
+    const index = tree.indexes.get(address.toLowerCase())
+    if (index === undefined) throw new Error(`${address} is not in the whitelist.`)
+    return index
+  })
+
+  const { leaves, proof, proofFlags } = tree.tree.getMultiProof([...new Set(indexes)])
+  return {
+    accounts: leaves.map(([address]) => address),
+    allowances: leaves.map(([, allowance]) => allowance),
+    proof,
+    proofFlags,
+  }
+}
+
+/**
+ * Checks whitelist parameters off-chain using the same algorithm as
+ * MerkleProof.verify, so proofs can be validated before being published.
+ *
+ * @param {string} root The hex root of the whitelist tree.
+ * @param {string} address The address the parameters were generated for.
+ * @param {{allowance: number, proof: string[]}} params The whitelist parameters.
+ * @return {boolean} True if the parameters prove the address is in the tree.
+ */
+function verifyWhitelistParams(root, address, { allowance, proof }) {
+  return StandardMerkleTree.verify(root, LEAF_ENCODING, [address, allowance], proof)
+}
+
+module.exports = {
+  createWhitelistTree,
+  rootFrom,
+  getWhitelistParams,
+  getWhitelistMultiProof,
+  verifyWhitelistParams,
+}
@@ -0,0 +1,73 @@
+const base64 = require('base-64')
+
+/**
+ * Decodes a base64 data URI, such as the ones the on-chain renderer returns.
+ *
+ * @param {string} uri A data URI, e.g. 'data:application/json;base64,eyJ...'.
+ * @return {{mimeType: string, content: string}}
+ */
+function decodeDataURI(uri) {
+  const match = /^data:([^;,]+);base64,(.*)$/.exec(uri)
+  if (!match) {
+    throw new Error(`Not a base64 data URI: ${uri.slice(0, 40)}`)
+  }
+  return { mimeType: match[1], content: base64.decode(match[2]) }
+}
+
+/**
+ * Decodes on-chain token metadata and the SVG image inside it.
+ *
+ * @param {string} uri The tokenURI of a token rendered on-chain.
+ * @return {{metadata: Object, svg: string}}
+ */
+function decodeTokenURI(uri) {
+  const json = decodeDataURI(uri)
+  if (json.mimeType !== 'application/json') {
+    throw new Error(`Expected application/json metadata, got ${json.mimeType}.`)
+  }
+
+  const metadata = JSON.parse(json.content)
+  const image = decodeDataURI(metadata.image)
+  if (image.mimeType !== 'image/svg+xml') {
+    throw new Error(`Expected an image/svg+xml image, got ${image.mimeType}.`)
+  }
+
+  return { metadata, svg: image.content }
+}
+
+/**
+ * Checks token metadata against the ERC721 metadata schema, with
+ * OpenSea-style attributes.
+ *
+ * @param {Object} metadata Decoded token metadata.
+ * @return {string[]} The problems found, empty if the metadata is valid.
+ */
+function validateMetadata(metadata) {
+  const problems = []
+
+  ;['name', 'description', 'image'].forEach((key) => {
+    if (typeof metadata[key] !== 'string' || metadata[key] === '') {
+      problems.push(`${key} must be a non-empty string`)
+    }
+  })
+
+  if (!Array.isArray(metadata.attributes)) {
+    problems.push('attributes must be an array')
+  } else {
+    metadata.attributes.forEach((attribute, i) => {
+      if (typeof attribute.trait_type !== 'string') {
+        problems.push(`attributes[${i}].trait_type must be a string`)
+      }
+      if (!['string', 'number'].includes(typeof attribute.value)) {
+        problems.push(`attributes[${i}].value must be a string or a number`)
+      }
+      if (attribute.display_type === 'number' && typeof attribute.value !== 'number') {
+        problems.push(`attributes[${i}].value must be a number to display as one`)
+      }
+    })
+  }
+
+  return problems
+}
+
+module.exports = { decodeDataURI, decodeTokenURI, validateMetadata }
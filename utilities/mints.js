@@ -0,0 +1,77 @@
+const { utils } = require('ethers')
+
+const mintedInterface = new utils.Interface([
+  'event Minted(address indexed recipient, address indexed minter, uint256 startTokenId, uint256 quantity, uint256 pricePaid, bytes32 phase)',
+])
+const MINTED_TOPIC = mintedInterface.getEventTopic('Minted')
+
+/**
+ * Names for the phases every contract mints in. Scheduled phases are named
+ * by passing their names, see decodeMints.
+ */
+const MINT_PHASE_NAMES = Object.fromEntries(
+  ['WHITELIST_PHASE', 'PUBLIC_PHASE', 'STAFF_PHASE', 'AIRDROP_PHASE'].map((name) => [utils.id(name), name])
+)
+
+/**
+ * Turns the Minted logs of a MetaDaoNft contract into sale records, one per
+ * batch of tokens. Other logs, including those of other contracts, are
+ * skipped, so the logs of a whole receipt can be passed in.
+ *
+ * @param {Object[]} logs Logs from getLogs or a transaction receipt.
+ * @param {string} address The address of the MetaDaoNft contract.
+ * @param {string[]} names The names of scheduled phases, to name their ids.
+ * @return {{contract: string, transactionHash: string, blockNumber: number, logIndex: number,
+ * recipient: string, minter: string, tokenIds: number[], quantity: number, pricePaid: BigNumber,
+ * phase: string, phaseName: string|undefined}[]}
+ */
+function decodeMints(logs, address, names = []) {
+  const phaseNames = { ...MINT_PHASE_NAMES, ...Object.fromEntries(names.map((name) => [utils.id(name), name])) }
+  const contract = utils.getAddress(address)
+
+  return logs
+    .filter((log) => utils.getAddress(log.address) === contract && log.topics[0] === MINTED_TOPIC)
+    .map((log) => {
+      const { recipient, minter, startTokenId, quantity, pricePaid, phase } = mintedInterface.parseLog(log).args
+      return {
+        contract: log.address,
+        transactionHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        logIndex: log.logIndex,
+        recipient,
+        minter,
+        tokenIds: Array.from({ length: quantity.toNumber() }, (_, i) => startTokenId.toNumber() + i),
+        quantity: quantity.toNumber(),
+        pricePaid,
+        phase,
+        phaseName: phaseNames[phase],
+      }
+    })
+}
+
+/**
+ * Fetches the sale records of a deployed contract, optionally only those
+ * minted to a recipient or by a minter.
+ *
+ * @param {Contract} contract The MetaDaoNft contract.
+ * @param {{fromBlock: number, toBlock: number|string, recipient: string, minter: string,
+ * names: string[]}} options The block range and filters, and the names of scheduled phases.
+ * @return {Promise<Object[]>} The records, see decodeMints.
+ */
+async function fetchMints(contract, { fromBlock = 0, toBlock = 'latest', recipient, minter, names } = {}) {
+  const topic = (address) => (address ? utils.hexZeroPad(address.toLowerCase(), 32) : null)
+  const logs = await contract.provider.getLogs({
+    address: contract.address,
+    topics: [MINTED_TOPIC, topic(recipient), topic(minter)],
+    fromBlock,
+    toBlock,
+  })
+  return decodeMints(logs, contract.address, names)
+}
+
+module.exports = {
+  MINTED_TOPIC,
+  MINT_PHASE_NAMES,
+  decodeMints,
+  fetchMints,
+}
@@ -0,0 +1,122 @@
+const fs = require('fs')
+const path = require('path')
+const { Wallet } = require('ethers')
+
+const SECRETS_FILE = path.join(__dirname, '..', 'secrets.json')
+
+// Secret names in secrets.json mapped to the environment variables that override them.
+const SECRET_ENV_VARS = {
+  ropsteinAlchemyKey: 'ROPSTEN_ALCHEMY_KEY',
+  rinkebyAlchemyKey: 'RINKEBY_ALCHEMY_KEY',
+  mainnetAlchemyKey: 'MAINNET_ALCHEMY_KEY',
+  testWalletPrivateKey: 'TEST_WALLET_PRIVATE_KEY',
+  prodWalletPrivateKey: 'PROD_WALLET_PRIVATE_KEY',
+  etherscanApiKey: 'ETHERSCAN_API_KEY',
+}
+
+// The secrets each remote network needs, and how to build its config from them.
+const NETWORKS = {
+  ropsten: {
+    keys: ['ropsteinAlchemyKey', 'testWalletPrivateKey'],
+    config: (s) => ({
+      url: `https://eth-ropsten.alchemyapi.io/v2/${s.ropsteinAlchemyKey}`,
+      accounts: [privateKey(s.testWalletPrivateKey)],
+    }),
+  },
+  rinkeby: {
+    keys: ['rinkebyAlchemyKey', 'testWalletPrivateKey'],
+    config: (s) => ({
+      url: `https://eth-rinkeby.alchemyapi.io/v2/${s.rinkebyAlchemyKey}`,
+      accounts: [privateKey(s.testWalletPrivateKey)],
+    }),
+  },
+  mainnet: {
+    keys: ['mainnetAlchemyKey', 'prodWalletPrivateKey'],
+    config: (s) => ({
+      url: `https://eth-mainnet.alchemyapi.io/v2/${s.mainnetAlchemyKey}`,
+      accounts: [privateKey(s.prodWalletPrivateKey)],
+    }),
+  },
+}
+
+function privateKey(key) {
+  return key.startsWith('0x') ? key : `0x${key}`
+}
+
+/**
+ * Loads secrets from the optional secrets file, with environment variables
+ * taking precedence. Missing secrets are left out.
+ *
+ * @param {Object} env The environment to read from.
+ * @param {string} file The path to the optional secrets file.
+ * @return {Object<string, string>}
+ */
+function loadSecrets(env = process.env, file = SECRETS_FILE) {
+  const fromFile = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+
+  return Object.entries(SECRET_ENV_VARS).reduce((secrets, [key, envVar]) => {
+    const value = env[envVar] || fromFile[key]
+    return value ? { ...secrets, [key]: value } : secrets
+  }, {})
+}
+
+/**
+ * Builds the config of every network whose secrets are all present. When a
+ * fork is requested, the in-process hardhat network forks that network, with
+ * the address of the forked network's account as its deployer, so that a
+ * deploy on the fork acts as the real deployer rather than a test account.
+ *
+ * @param {Object<string, string>} secrets Secrets from loadSecrets.
+ * @param {string} fork The name of a network for the hardhat network to fork, if any.
+ * @return {{networks: Object, missing: Object<string, string[]>}} The network
+ * configs, and the missing secrets of each network that was left out.
+ */
+function networksFrom(secrets, fork) {
+  const networks = {}
+  const missing = {}
+
+  Object.entries(NETWORKS).forEach(([name, { keys, config }]) => {
+    const missingKeys = keys.filter((key) => !secrets[key])
+    if (missingKeys.length === 0) {
+      networks[name] = config(secrets)
+    } else {
+      missing[name] = missingKeys
+    }
+  })
+
+  if (fork && networks[fork]) {
+    networks.hardhat = {
+      forking: { url: networks[fork].url },
+      deployer: new Wallet(networks[fork].accounts[0]).address,
+    }
+  }
+
+  return { networks, missing }
+}
+
+/**
+ * Throws an error naming the missing secrets if the targeted network was left
+ * out for lack of credentials.
+ *
+ * @param {string} network The targeted network, if any.
+ * @param {Object<string, string[]>} missing The missing secrets from networksFrom.
+ */
+function assertNetworkConfigured(network, missing) {
+  if (!network || !missing[network]) return
+
+  const keys = missing[network].map((key) => `${SECRET_ENV_VARS[key]} (or "${key}" in secrets.json)`)
+  throw new Error(`Network "${network}" is not configured. Missing: ${keys.join(', ')}`)
+}
+
+/**
+ * @param {string[]} argv The process arguments.
+ * @param {Object} env The environment.
+ * @return {string|undefined} The network targeted with --network or HARDHAT_NETWORK.
+ */
+function targetNetwork(argv = process.argv, env = process.env) {
+  const i = argv.findIndex((arg) => arg === '--network' || arg.startsWith('--network='))
+  if (i === -1) return env.HARDHAT_NETWORK
+  return argv[i].includes('=') ? argv[i].split('=')[1] : argv[i + 1]
+}
+
+module.exports = { SECRET_ENV_VARS, loadSecrets, networksFrom, assertNetworkConfigured, targetNetwork }
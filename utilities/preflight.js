@@ -0,0 +1,109 @@
+const { utils } = require('ethers')
+
+// Deploying to these chains requires an explicit confirmation.
+const CONFIRMATION_CHAIN_IDS = [1]
+
+const ARG_NAMES = ['founders', 'artist', 'staff', 'placeholderURI']
+
+/**
+ * Lists the differences between the constructor arguments of the last
+ * deployment and the ones about to be deployed.
+ *
+ * @param {Array} previous The constructor arguments of the last deployment.
+ * @param {Array} next The constructor arguments about to be deployed.
+ * @return {string[]} One line per difference, empty if nothing changed.
+ */
+function diffConstructorArgs(previous, next) {
+  return ARG_NAMES.flatMap((name, i) => {
+    if (Array.isArray(next[i])) {
+      const before = previous[i].map((a) => a.toLowerCase())
+      const after = next[i].map((a) => a.toLowerCase())
+      return [
+        ...next[i].filter((a) => !before.includes(a.toLowerCase())).map((a) => `${name}: + ${a}`),
+        ...previous[i].filter((a) => !after.includes(a.toLowerCase())).map((a) => `${name}: - ${a}`),
+      ]
+    }
+    return previous[i] === next[i] ? [] : [`${name}: ${previous[i]} -> ${next[i]}`]
+  })
+}
+
+/**
+ * Estimates the gas and cost of deploying the contract at the current fee
+ * data and checks the deployer can afford it. Throws if it can't.
+ *
+ * @param {Object} options
+ * @param {ContractFactory} options.factory The contract factory, connected to the deployer.
+ * @param {Array} options.args The constructor arguments.
+ * @param {Object} options.previous The last deployment record for the network, if any.
+ * @return {Promise<Object>} The preflight report.
+ */
+async function runPreflight({ factory, args, previous }) {
+  const { signer } = factory
+  const { provider } = signer
+  const deployTransaction = factory.getDeployTransaction(...args)
+
+  const deployer = await signer.getAddress()
+  const [balance, gas, feeData, { chainId }] = await Promise.all([
+    signer.getBalance(),
+    provider.estimateGas({ ...deployTransaction, from: deployer }),
+    provider.getFeeData(),
+    provider.getNetwork(),
+  ])
+  const feePerGas = feeData.maxFeePerGas || feeData.gasPrice
+  const cost = gas.mul(feePerGas)
+
+  const report = {
+    chainId,
+    deployer,
+    args,
+    gas,
+    feePerGas,
+    cost,
+    balance,
+    previous: previous ? previous.address : undefined,
+    changes: previous ? diffConstructorArgs(previous.constructorArgs, args) : [],
+    bytecodeChanged: previous ? previous.bytecodeHash !== utils.keccak256(factory.bytecode) : false,
+  }
+
+  if (balance.lt(cost)) {
+    throw new Error(
+      `Deployer ${deployer} has ${utils.formatEther(balance)} ETH but the deploy may cost up to ${utils.formatEther(
+        cost
+      )} ETH.`
+    )
+  }
+
+  return report
+}
+
+/**
+ * @param {Object} report A report from runPreflight.
+ * @return {string} The report, formatted for the console.
+ */
+function formatPreflight(report) {
+  const [founders, artist, staff, placeholderURI] = report.args
+  const lines = [
+    `Chain ID:       ${report.chainId}`,
+    `Deployer:       ${report.deployer}`,
+    `Founders:       ${founders.join(', ')}`,
+    `Artist:         ${artist}`,
+    `Staff:          ${staff.join(', ')}`,
+    `Placeholder:    ${placeholderURI}`,
+    `Estimated gas:  ${report.gas.toString()}`,
+    `Fee per gas:    ${utils.formatUnits(report.feePerGas, 'gwei')} gwei`,
+    `Max cost:       ${utils.formatEther(report.cost)} ETH`,
+    `Balance:        ${utils.formatEther(report.balance)} ETH`,
+  ]
+
+  if (!report.previous) {
+    lines.push('No previous deployment recorded.')
+  } else {
+    lines.push(`Changes since ${report.previous}:`)
+    lines.push(...(report.changes.length > 0 ? report.changes.map((c) => `  ${c}`) : ['  none']))
+    if (report.bytecodeChanged) lines.push('  bytecode changed')
+  }
+
+  return lines.join('\n')
+}
+
+module.exports = { CONFIRMATION_CHAIN_IDS, diffConstructorArgs, runPreflight, formatPreflight }
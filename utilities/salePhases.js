@@ -0,0 +1,99 @@
+const fs = require('fs')
+const path = require('path')
+const { utils, constants } = require('ethers')
+const { readWhitelistBundle } = require('./whitelist')
+
+/**
+ * Converts a time from a schedule file or the command line to a unix
+ * timestamp. Accepts unix seconds, as a number or a string, or anything
+ * Date.parse understands, e.g. '2022-03-01T17:00:00Z'.
+ *
+ * @param {number|string} value The time to convert.
+ * @return {number} The unix timestamp in seconds, or NaN if it can't be parsed.
+ */
+function toTimestamp(value) {
+  if (typeof value === 'number' || /^\d+$/.test(value)) return Number(value)
+  return Math.floor(Date.parse(value) / 1000)
+}
+
+/**
+ * Converts the entries of a schedule file to the SalePhase structs the
+ * contract expects. Each phase's id is the keccak256 hash of its name, so the
+ * names 'WHITELIST_PHASE' and 'PUBLIC_PHASE' share their per-wallet counts
+ * with the manual phases.
+ *
+ * @param {Object[]} entries Phases with name, start, end, price (in ETH),
+ * maxPerTx, maxPerWallet and optionally merkleRoot or whitelist (the
+ * directory of a whitelist:build bundle).
+ * @param {string} baseDir The directory whitelist paths are relative to.
+ * @return {Object[]} The phases, ready to pass to setSalePhases.
+ */
+function parseSalePhases(entries, baseDir = '.') {
+  if (!Array.isArray(entries)) {
+    throw new Error('The sale schedule must be a JSON array of phases.')
+  }
+
+  return entries.map((entry, i) => {
+    const label = `Phase ${i + 1}${entry.name ? ` (${entry.name})` : ''}`
+    if (!entry.name) throw new Error(`${label} must have a name.`)
+
+    const startTime = toTimestamp(entry.start)
+    const endTime = toTimestamp(entry.end)
+    if (Number.isNaN(startTime) || Number.isNaN(endTime)) {
+      throw new Error(`${label} must have a valid start and end.`)
+    }
+    if (startTime >= endTime) throw new Error(`${label} must end after it starts.`)
+    if (i > 0 && toTimestamp(entries[i - 1].end) > startTime) {
+      throw new Error(`${label} starts before the previous phase ends.`)
+    }
+    if (entry.merkleRoot && entry.whitelist) {
+      throw new Error(`${label} can have a merkleRoot or a whitelist, not both.`)
+    }
+
+    let merkleRoot = entry.merkleRoot || constants.HashZero
+    if (entry.whitelist) merkleRoot = readWhitelistBundle(path.resolve(baseDir, entry.whitelist)).root
+
+    return {
+      id: utils.id(entry.name),
+      price: utils.parseEther(String(entry.price)),
+      startTime,
+      endTime,
+      maxPerTx: entry.maxPerTx,
+      maxPerWallet: entry.maxPerWallet,
+      merkleRoot,
+    }
+  })
+}
+
+/**
+ * Reads a sale schedule file, see parseSalePhases.
+ *
+ * @param {string} file The path to the JSON schedule.
+ * @return {Object[]} The phases, ready to pass to setSalePhases.
+ */
+function readSalePhases(file) {
+  return parseSalePhases(JSON.parse(fs.readFileSync(file)), path.dirname(file))
+}
+
+/**
+ * Formats a phase for the console.
+ *
+ * @param {Object} phase A SalePhase, as returned by the contract or parseSalePhases.
+ * @param {Object} names Names to show for phase ids, keyed by id.
+ * @return {string}
+ */
+function formatSalePhase(phase, names = {}) {
+  const [start, end] = [phase.startTime, phase.endTime].map((time) => new Date(Number(time) * 1000).toISOString())
+  const when = Number(phase.endTime) === 0 ? 'unscheduled' : `${start} - ${end}`
+  let whitelist = `whitelist ${phase.merkleRoot}`
+  if (phase.merkleRoot === constants.HashZero) {
+    whitelist = phase.id === utils.id('WHITELIST_PHASE') ? 'whitelist not set' : 'open to everyone'
+  }
+
+  const price = `${utils.formatEther(phase.price)} ETH`
+  const limits = `max ${phase.maxPerTx} per tx, ${phase.maxPerWallet} per wallet`
+
+  return `${names[phase.id] || phase.id}: ${when}\n  price ${price}, ${limits}, ${whitelist}`
+}
+
+module.exports = { toTimestamp, parseSalePhases, readSalePhases, formatSalePhase }
@@ -0,0 +1,36 @@
+const LOCAL_NETWORKS = ['hardhat', 'localhost']
+
+/**
+ * Verifies a deployed contract on Etherscan with the exact constructor
+ * arguments it was deployed with, after waiting for enough confirmations for
+ * Etherscan to have indexed the bytecode. Local networks are skipped.
+ *
+ * @param {Object} options
+ * @param {Object} options.record The deployment record of the contract.
+ * @param {Function} options.run The hardhat `run` function, used to call verify:verify.
+ * @param {Object} options.provider An ethers provider for the network.
+ * @param {number} options.confirmations The confirmations to wait for before verifying.
+ * @return {Promise<{status: string, confirmations: number, verifiedAt?: string, error?: string}>}
+ */
+async function verifyDeployment({ record, run, provider, confirmations }) {
+  if (LOCAL_NETWORKS.includes(record.network)) {
+    console.log(`Skipping Etherscan verification on ${record.network}.`)
+    return { status: 'skipped', confirmations: 0 }
+  }
+
+  console.log(`Waiting for ${confirmations} confirmations before verifying...`)
+  await provider.waitForTransaction(record.transactionHash, confirmations)
+
+  try {
+    await run('verify:verify', { address: record.address, constructorArguments: record.constructorArgs })
+  } catch (error) {
+    if (!/already verified/i.test(error.message)) {
+      console.error(`Etherscan verification failed: ${error.message}`)
+      return { status: 'failed', confirmations, error: error.message }
+    }
+  }
+
+  return { status: 'verified', confirmations, verifiedAt: new Date().toISOString() }
+}
+
+module.exports = { LOCAL_NETWORKS, verifyDeployment }
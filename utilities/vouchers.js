@@ -0,0 +1,80 @@
+const { utils } = require('ethers')
+
+/** The EIP-712 types of a voucher, matching MetaDaoNftVouchers.MINT_VOUCHER_TYPEHASH. */
+const VOUCHER_TYPES = {
+  MintVoucher: [
+    { name: 'minter', type: 'address' },
+    { name: 'maxQuantity', type: 'uint256' },
+    { name: 'phase', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+}
+
+/**
+ * The EIP-712 domain MetaDaoNft verifies vouchers against.
+ *
+ * @param {string} verifyingContract The MetaDaoNftVouchers address, from MetaDaoNft.vouchers().
+ * @param {number} chainId The id of the chain the contract is deployed on.
+ * @return {Object}
+ */
+function voucherDomain(verifyingContract, chainId) {
+  return { name: 'Meta DAO NFT', version: '1', chainId, verifyingContract }
+}
+
+/**
+ * Signs a voucher with a signer holding VOUCHER_SIGNER_ROLE.
+ *
+ * @param {Signer} signer An ethers signer.
+ * @param {Object} domain The domain from voucherDomain.
+ * @param {{minter: string, maxQuantity: number, phase: string, expiry: number, nonce: number|string}} voucher
+ * The voucher, with the phase as a bytes32 id.
+ * @return {Promise<string>} The signature to pass to MetaDaoNft.mintWithVoucher.
+ */
+function signVoucher(signer, domain, voucher) {
+  return signer._signTypedData(domain, VOUCHER_TYPES, voucher)
+}
+
+/**
+ * Recovers the address that signed a voucher, to check vouchers before
+ * handing them out.
+ *
+ * @param {Object} domain The domain from voucherDomain.
+ * @param {Object} voucher The signed voucher.
+ * @param {string} signature The signature of the voucher.
+ * @return {string} The signer's address.
+ */
+function recoverVoucherSigner(domain, voucher, signature) {
+  return utils.verifyTypedData(domain, VOUCHER_TYPES, voucher, signature)
+}
+
+/**
+ * Signs a voucher for every minter of a list, all for the same phase, expiry
+ * and nonce.
+ *
+ * @param {Signer} signer An ethers signer holding VOUCHER_SIGNER_ROLE.
+ * @param {Object} domain The domain from voucherDomain.
+ * @param {{address: string, allowance: number}[]} entries The minters and the
+ * number of tokens each may mint with their voucher.
+ * @param {{phase: string, expiry: number, nonce: number|string}} terms The
+ * phase id, expiry timestamp and nonce shared by the vouchers.
+ * @return {Promise<Object<string, {voucher: Object, signature: string}>>} The
+ * vouchers keyed by minter address.
+ */
+async function issueVouchers(signer, domain, entries, { phase, expiry, nonce }) {
+  const signerAddress = await signer.getAddress()
+  const vouchers = {}
+
+  for (const { address, allowance } of entries) {
+    const voucher = { minter: address, maxQuantity: allowance, phase, expiry, nonce: String(nonce) }
+    const signature = await signVoucher(signer, domain, voucher)
+    if (recoverVoucherSigner(domain, voucher, signature) !== signerAddress) {
+      throw new Error(`The voucher for ${address} does not recover to ${signerAddress}.`)
+    }
+    vouchers[address] = { voucher, signature }
+  }
+
+  return vouchers
+}
+
+module.exports = { VOUCHER_TYPES, voucherDomain, signVoucher, recoverVoucherSigner, issueVouchers }
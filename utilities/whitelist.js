@@ -0,0 +1,152 @@
+const fs = require('fs')
+const path = require('path')
+const { utils } = require('ethers')
+const { createWhitelistTree, rootFrom, getWhitelistParams, verifyWhitelistParams } = require('./merkleTrees')
+
+/**
+ * Reads the raw entries of an address file along with the line each one was
+ * found on. JSON files must hold an array of address strings or of
+ * `{ address, allowance }` objects; any other file is read as a CSV with the
+ * address in the first column, an optional allowance in the second and an
+ * optional `address` header.
+ *
+ * @param {string} file The path to the address file.
+ * @return {{value: string, allowance: string|undefined, line: number}[]}
+ */
+function readAddressEntries(file) {
+  const contents = fs.readFileSync(file, 'utf8')
+
+  if (path.extname(file).toLowerCase() === '.json') {
+    const values = JSON.parse(contents)
+    if (!Array.isArray(values)) {
+      throw new Error(`${file} must contain a JSON array of addresses.`)
+    }
+
+    // Locate each address literal so errors can point at the offending line.
+    let offset = 0
+    return values.map((value) => {
+      const address = value !== null && typeof value === 'object' ? value.address : value
+      const index = contents.indexOf(JSON.stringify(address), offset)
+      if (index >= 0) offset = index + 1
+      return {
+        value: typeof address === 'string' ? address.trim() : String(address),
+        allowance:
+          value !== null && typeof value === 'object' && value.allowance !== undefined
+            ? String(value.allowance)
+            : undefined,
+        line: index >= 0 ? contents.slice(0, index).split('\n').length : undefined,
+      }
+    })
+  }
+
+  return contents
+    .split(/\r?\n/)
+    .map((row, i) => {
+      const [value, allowance] = row.split(',').map((column) => column.trim().replace(/^"|"$/g, ''))
+      return { value, allowance: allowance || undefined, line: i + 1 }
+    })
+    .filter(({ value, line }) => value !== '' && !(line === 1 && value.toLowerCase() === 'address'))
+}
+
+/**
+ * Normalizes a list of address entries to checksummed addresses with their
+ * allowances, dropping duplicates. Throws an error listing every invalid
+ * entry by line number, including an address listed twice with different
+ * allowances.
+ *
+ * @param {{value: string, allowance: string|undefined, line: number}[]} entries Entries from readAddressEntries.
+ * @param {number} defaultAllowance The allowance of entries that don't have one.
+ * @param {string} label What the second column is called in errors, such as `amount` for airdrops.
+ * @return {{entries: {address: string, allowance: number}[], duplicates: number}}
+ */
+function normalizeEntries(entries, defaultAllowance, label = 'allowance') {
+  const normalized = []
+  const invalid = []
+  const seen = new Map()
+  let duplicates = 0
+
+  entries.forEach(({ value, allowance: rawAllowance, line }) => {
+    if (!utils.isAddress(value)) {
+      invalid.push(`  line ${line}: ${value}`)
+      return
+    }
+
+    const allowance = rawAllowance === undefined ? defaultAllowance : Number(rawAllowance)
+    if (!Number.isInteger(allowance) || allowance < 1) {
+      invalid.push(`  line ${line}: ${value} has an invalid ${label} of ${rawAllowance}`)
+      return
+    }
+
+    const address = utils.getAddress(value)
+    if (seen.has(address)) {
+      if (seen.get(address) !== allowance) {
+        invalid.push(`  line ${line}: ${address} is already listed with an ${label} of ${seen.get(address)}`)
+      }
+      duplicates++
+      return
+    }
+
+    seen.set(address, allowance)
+    normalized.push({ address, allowance })
+  })
+
+  if (invalid.length > 0) {
+    throw new Error(`Found ${invalid.length} invalid entr${invalid.length === 1 ? 'y' : 'ies'}:\n${invalid.join('\n')}`)
+  }
+
+  return { entries: normalized, duplicates }
+}
+
+/**
+ * Builds the whitelist root and the allowance and proof of every address,
+ * verifying each proof against the root before returning.
+ *
+ * @param {{address: string, allowance: number}[]} entries Checksummed,
+ * deduplicated addresses and their allowances.
+ * @return {{root: string, proofs: Object<string, {allowance: number, proof: string[]}>}}
+ */
+function buildWhitelist(entries) {
+  const tree = createWhitelistTree(entries)
+  const root = rootFrom(tree)
+  const proofs = {}
+
+  entries.forEach(({ address }) => {
+    const params = getWhitelistParams(address, tree)
+    if (!verifyWhitelistParams(root, address, params)) {
+      throw new Error(`Generated proof for ${address} does not verify against ${root}.`)
+    }
+    proofs[address] = params
+  })
+
+  return { root, proofs }
+}
+
+/**
+ * Reads a bundle written by the whitelist:build task.
+ *
+ * @param {string} dir The directory holding root.json and proofs.json.
+ * @return {{root: string, proofs: Object<string, {allowance: number, proof: string[]}>}}
+ */
+function readWhitelistBundle(dir) {
+  const { root } = JSON.parse(fs.readFileSync(path.join(dir, 'root.json'), 'utf8'))
+  const proofs = JSON.parse(fs.readFileSync(path.join(dir, 'proofs.json'), 'utf8'))
+  return { root, proofs }
+}
+
+/**
+ * Picks a random sample of addresses, without repeats.
+ *
+ * @param {string[]} addresses The addresses to sample from.
+ * @param {number} size The maximum number of addresses to pick.
+ * @return {string[]}
+ */
+function sampleAddresses(addresses, size) {
+  const pool = [...addresses]
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[pool[i], pool[j]] = [pool[j], pool[i]]
+  }
+  return pool.slice(0, size)
+}
+
+module.exports = { readAddressEntries, normalizeEntries, buildWhitelist, readWhitelistBundle, sampleAddresses }